@@ -0,0 +1,44 @@
+// /api/_admin.js
+// Autenticación del staff para /api/admin/*: Authorization: Bearer <token>.
+// ADMIN_TOKENS="ana:tok1,luis:tok2" (usuario:token) o ADMIN_TOKEN para uno solo ("admin").
+// /api/cron/* acepta además CRON_SECRET.
+
+import crypto from 'node:crypto';
+import { sendError } from './_errors.js';
+
+function adminTokens() {
+  const out = [];
+  for (const pair of String(process.env.ADMIN_TOKENS || '').split(',')) {
+    const i = pair.indexOf(':');
+    if (i > 0) out.push({ user: pair.slice(0, i).trim(), token: pair.slice(i + 1).trim() });
+  }
+  if (process.env.ADMIN_TOKEN) out.push({ user: 'admin', token: process.env.ADMIN_TOKEN });
+  return out.filter(t => t.user && t.token);
+}
+
+function sameToken(a, b) {
+  const ha = crypto.createHash('sha256').update(a).digest();
+  const hb = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+// Devuelve { user } o responde 401 y devuelve null
+export function requireAdmin(req, res) {
+  const header = String(req.headers?.authorization || '');
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  const match = token && adminTokens().find(t => sameToken(t.token, token));
+  if (!match) {
+    sendError(res, 'unauthorized');
+    return null;
+  }
+  return { user: match.user };
+}
+
+// Vercel Cron manda Authorization: Bearer <CRON_SECRET>; un token de admin también sirve
+// para dispararlo a mano. Devuelve { user } o responde 401 y devuelve null.
+export function requireCron(req, res) {
+  const header = String(req.headers?.authorization || '');
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  if (token && process.env.CRON_SECRET && sameToken(process.env.CRON_SECRET, token)) return { user: 'cron' };
+  return requireAdmin(req, res);
+}
@@ -0,0 +1,203 @@
+// /api/_affiliates.js
+// Registro de afiliados (colección "affiliates" en _store.js). El PIN nunca se guarda en
+// claro: solo su HMAC con un secreto del servidor, que además sirve de índice. Un PIN de
+// pocos dígitos se adivina rápido, así que cada IP con demasiados invalid_pin queda
+// bloqueada un rato (colección "lockouts"). Con el DATA_DIR por defecto en /tmp cada
+// instancia lleva su propia cuenta de intentos; para que el bloqueo valga entre instancias
+// DATA_DIR tiene que ser un disco compartido.
+//
+// ⚙️ Entorno:
+// - AFFILIATE_PIN_SECRET  secreto del HMAC (default BOOKING_TOKEN_SECRET)
+// - PIN_MAX_ATTEMPTS      intentos fallidos por IP antes del bloqueo (default 5)
+// - PIN_LOCKOUT_MINUTES   ventana de conteo y duración del bloqueo (default 15)
+// - AFFILIATE_PINS        (migración) los afiliados de antes del registro, como los resolvía
+//                         resolveAffiliate(pin): JSON {"<pin>":{"name":"…","email":"…"}} o
+//                         {"<pin>":"Nombre"}. Se importan con el PIN hasheado la primera vez
+//                         que se usa el registro y solo si está vacío; después sobra.
+//
+// Afiliado: { id, name, email, pinHash, enabled, expiresAt, packages:[pkg], skipDeposit }
+// packages vacío = todos los paquetes; skipDeposit permite registrar la reserva sin depósito.
+
+import crypto from 'node:crypto';
+import { list, get, insert, update, withCollection } from './_store.js';
+
+const COLLECTION = 'affiliates';
+const LOCKOUTS = 'lockouts';
+const MAX_ATTEMPTS = Number(process.env.PIN_MAX_ATTEMPTS || 5);
+const LOCKOUT_MINUTES = Number(process.env.PIN_LOCKOUT_MINUTES || 15);
+
+function pinSecret() {
+  const key = process.env.AFFILIATE_PIN_SECRET || process.env.BOOKING_TOKEN_SECRET;
+  if (!key) throw new Error('missing AFFILIATE_PIN_SECRET');
+  return key;
+}
+
+export function hashPin(pin) {
+  return crypto.createHmac('sha256', pinSecret()).update(String(pin)).digest('hex');
+}
+
+function legacyAffiliates() {
+  if (!process.env.AFFILIATE_PINS) return [];
+  try {
+    return Object.entries(JSON.parse(process.env.AFFILIATE_PINS))
+      .map(([pin, a]) => ({ pin: String(pin).trim(), ...(typeof a === 'string' ? { name: a } : a) }))
+      .filter(a => a.pin);
+  } catch (err) {
+    console.error('[affiliates] invalid AFFILIATE_PINS:', err?.message || err);
+    return [];
+  }
+}
+
+// Importación única de AFFILIATE_PINS: los PIN que ya funcionaban siguen funcionando
+let imported = null;
+function ready() {
+  const legacy = legacyAffiliates();
+  if (!legacy.length) return Promise.resolve();
+  imported ||= withCollection(COLLECTION, docs => {
+    if (docs.length) return;
+    const now = new Date().toISOString();
+    for (const a of legacy) {
+      docs.push({
+        id: crypto.randomUUID(), createdAt: now, updatedAt: now,
+        name: String(a.name || '').trim(), email: String(a.email || '').trim(), pinHash: hashPin(a.pin),
+        enabled: true, packages: [], skipDeposit: false, expiresAt: '',
+      });
+    }
+  }).catch(err => {
+    imported = null;
+    throw err;
+  });
+  return imported;
+}
+
+// Lo que se puede mostrar (sin hash)
+export function publicAffiliate(aff) {
+  if (!aff) return null;
+  const { pinHash, ...rest } = aff;
+  return rest;
+}
+
+export async function listAffiliates() {
+  await ready();
+  return list(COLLECTION);
+}
+
+export async function getAffiliate(id) {
+  if (!id) return null;
+  await ready();
+  return get(COLLECTION, id);
+}
+
+/**
+ * Alta o cambio desde /api/admin/affiliates. pin (opcional en cambios) se guarda como
+ * hash y debe ser único. Devuelve { ok:true, affiliate } o { ok:false, error, detail }.
+ */
+export async function saveAffiliate(input) {
+  await ready();
+  const fields = {};
+  for (const k of ['name', 'email', 'expiresAt']) {
+    if (input[k] !== undefined) fields[k] = String(input[k] || '').trim();
+  }
+  if (input.enabled !== undefined) fields.enabled = input.enabled === true || input.enabled === 'true';
+  if (input.skipDeposit !== undefined) fields.skipDeposit = input.skipDeposit === true || input.skipDeposit === 'true';
+  if (input.packages !== undefined) {
+    fields.packages = (Array.isArray(input.packages) ? input.packages : String(input.packages).split(','))
+      .map(x => String(x).trim()).filter(Boolean);
+  }
+  if (fields.expiresAt && isNaN(new Date(fields.expiresAt))) {
+    return { ok: false, error: 'invalid_expiresAt', detail: 'expiresAt must be a date.' };
+  }
+
+  const pin = String(input.pin || '').trim();
+  if (pin) {
+    if (!/^\d{4,12}$/.test(pin)) return { ok: false, error: 'invalid_pin_format', detail: 'PIN must be 4–12 digits.' };
+    fields.pinHash = hashPin(pin);
+    const clash = (await list(COLLECTION, a => a.pinHash === fields.pinHash && a.id !== input.id))[0];
+    if (clash) return { ok: false, error: 'pin_in_use', detail: 'Another affiliate already uses that PIN.' };
+  }
+
+  if (input.id) {
+    const updated = await update(COLLECTION, String(input.id), fields);
+    return updated ? { ok: true, affiliate: updated } : { ok: false, error: 'affiliate_not_found' };
+  }
+  if (!fields.name || !fields.pinHash) {
+    return { ok: false, error: 'missing_fields', detail: 'name and pin are required.' };
+  }
+  const created = await insert(COLLECTION, { enabled: true, packages: [], skipDeposit: false, expiresAt: '', ...fields });
+  return { ok: true, affiliate: created };
+}
+
+// ---------- Bloqueo por intentos ----------
+
+// IP que pone la plataforma: x-real-ip o el último salto de x-forwarded-for (lo agrega el
+// proxy). El primero lo escribe el cliente y cambiarlo daría intentos ilimitados.
+function clientKey(req) {
+  const real = String(req?.headers?.['x-real-ip'] || '').trim();
+  const lastHop = String(req?.headers?.['x-forwarded-for'] || '').split(',').map(x => x.trim()).filter(Boolean).at(-1);
+  return real || lastHop || req?.socket?.remoteAddress || 'unknown';
+}
+
+async function lockedUntil(key, now) {
+  const row = (await list(LOCKOUTS, r => r.key === key))[0];
+  return row?.lockedUntil && new Date(row.lockedUntil) > now ? new Date(row.lockedUntil) : null;
+}
+
+function recordFailure(key, now) {
+  const since = now.getTime() - LOCKOUT_MINUTES * 60e3;
+  return withCollection(LOCKOUTS, docs => {
+    let row = docs.find(r => r.key === key);
+    if (!row) {
+      row = { id: crypto.randomUUID(), key, failures: [], lockedUntil: '' };
+      docs.push(row);
+    }
+    row.failures = [...row.failures.filter(t => new Date(t).getTime() > since), now.toISOString()];
+    if (row.failures.length >= MAX_ATTEMPTS) {
+      row.lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60e3).toISOString();
+      row.failures = [];
+    }
+    row.updatedAt = now.toISOString();
+  });
+}
+
+function clearFailures(key) {
+  return withCollection(LOCKOUTS, docs => {
+    const i = docs.findIndex(r => r.key === key);
+    if (i >= 0) docs.splice(i, 1);
+  });
+}
+
+/**
+ * Valida el PIN de una petición. Devuelve { ok:true, aff } o
+ * { ok:false, status, error, detail } con error en: too_many_attempts, invalid_pin,
+ * affiliate_disabled, affiliate_expired.
+ */
+export async function authenticateAffiliate(req, pin, now = new Date()) {
+  const key = clientKey(req);
+  const until = await lockedUntil(key, now);
+  if (until) {
+    return { ok: false, status: 429, error: 'too_many_attempts', detail: `Try again after ${until.toISOString()}.` };
+  }
+
+  await ready();
+  const hash = pin ? hashPin(pin) : '';
+  const aff = hash ? (await list(COLLECTION, a => a.pinHash === hash))[0] : null;
+  if (!aff) {
+    await recordFailure(key, now);
+    return { ok: false, status: 401, error: 'invalid_pin' };
+  }
+  await clearFailures(key);
+
+  if (!aff.enabled) return { ok: false, status: 403, error: 'affiliate_disabled' };
+  if (aff.expiresAt && new Date(aff.expiresAt) <= now) {
+    return { ok: false, status: 403, error: 'affiliate_expired', detail: `Access expired on ${aff.expiresAt}.` };
+  }
+  return { ok: true, aff };
+}
+
+// Permisos del afiliado para un pedido; null si está permitido
+export function affiliateDenies(aff, { pkg }) {
+  if (aff.packages?.length && !aff.packages.includes(pkg)) {
+    return { error: 'package_not_allowed', detail: `Allowed packages: ${aff.packages.join(', ')}.` };
+  }
+  return null;
+}
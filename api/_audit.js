@@ -0,0 +1,28 @@
+// /api/_audit.js
+// Bitácora de cambios del staff (colección "audit"): quién, cuándo, qué acción, por qué
+// y qué campos cambiaron (de → a). La escriben los endpoints de /api/admin/*.
+
+import { insert, list } from './_store.js';
+
+const COLLECTION = 'audit';
+
+// { campo: { from, to } } solo con lo que de verdad cambió
+export function diffFields(before, after) {
+  const changes = {};
+  for (const [k, to] of Object.entries(after)) {
+    const from = before[k] ?? '';
+    if (to !== undefined && String(from) !== String(to ?? '')) changes[k] = { from, to };
+  }
+  return changes;
+}
+
+// entry: { entity, entityId, action, by, changes, reason, ...extra }
+export function recordAudit({ entity, entityId, action, by, changes = {}, reason = '', ...extra }) {
+  return insert(COLLECTION, { entity, entityId, action, by, changes, reason, ...extra });
+}
+
+// Historial de una entidad, del más viejo al más nuevo
+export async function auditTrail(entity, entityId) {
+  return (await list(COLLECTION, a => a.entity === entity && a.entityId === entityId))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
@@ -0,0 +1,209 @@
+// /api/_booking.js
+// Estado de una reserva ya creada en Calendar: vive en extendedProperties.private
+// (bookingStatus) y se refleja en la primera línea de la descripción. Lo usan el
+// webhook de Stripe y cualquier flujo que cambie una reserva existente.
+
+import crypto from 'node:crypto';
+import { isHold, barLabel, pkgLabel, pkgDurations } from './_rules.js';
+
+export const STATUS_LABELS = {
+  pending_payment: '⏳ Payment pending',
+  confirmed: '✅ Confirmed',
+  payment_failed: '❌ Payment failed — released',
+  refunded: '↩️ Refunded — cancelled',
+  partially_refunded: '↩️ Partially refunded',
+  disputed: '⚠️ Disputed',
+  paid_in_full: '✅ Paid in full',
+  cancelled: '🚫 Cancelled',
+};
+
+const STATUS_PREFIX = '📌 Status:';
+
+// Datos de contacto del cliente para los esquemas de entrada (_schema.js)
+export const CONTACT_FIELDS = {
+  fullName: { type: 'string', max: 120, required: true },
+  email:    { type: 'email' },
+  phone:    { type: 'string', max: 40, pattern: /^\+?[\d\s().-]{7,}$/, message: 'must be a phone number' },
+  lang:     { type: 'string', max: 10 },
+  notes:    { type: 'string', max: 500, truncate: true }, // Stripe: máx 500 caracteres por valor
+};
+
+// Id propio para el evento (Calendar acepta base32hex); así el link de gestión va en la
+// descripción desde el insert
+export function newEventId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+export function privateProps(ev) {
+  return ev?.extendedProperties?.private || {};
+}
+
+/**
+ * Patch que devuelve una reserva movida a como estaba (horario, lugar, invitados, título,
+ * descripción y propiedades; las que agregó el cambio quedan vacías).
+ */
+export function revertChanges(before, after) {
+  const added = Object.fromEntries(Object.keys(privateProps(after)).map(k => [k, '']));
+  return {
+    start: before.start,
+    end: before.end,
+    location: before.location || '',
+    attendees: before.attendees || [],
+    summary: before.summary || '',
+    description: before.description,
+    extendedProperties: { private: { ...added, ...privateProps(before) } },
+  };
+}
+
+// Pedido completo (quoteInput) como propiedades privadas; eventEquipment las lee
+export function orderProps(order) {
+  return {
+    pkg: order.pkg,
+    mainBar: order.mainBar,
+    secondEnabled: String(!!order.secondEnabled),
+    secondBar: order.secondEnabled ? order.secondBar : '',
+    secondSize: order.secondEnabled ? order.secondSize || order.pkg : '',
+    fountainEnabled: String(!!order.fountainEnabled),
+    fountainType: order.fountainEnabled ? order.fountainType : '',
+    fountainSize: order.fountainEnabled ? order.fountainSize : '',
+  };
+}
+
+// Título del evento; el staff lo rehace al corregir el nombre del cliente
+export function bookingTitle(mainBar, pkg, fullName) {
+  return `Manna Snack Bars — ${barLabel(mainBar)} — ${pkgLabel(pkg)} — ${fullName}`;
+}
+
+// Líneas del pedido para la descripción (create-event y el webhook las pintan igual)
+export function orderLines(order) {
+  return [
+    `🍫 Main bar: ${barLabel(order.mainBar)} — ${pkgLabel(order.pkg)}`,
+    order.secondEnabled ? `➕ Second bar: ${barLabel(order.secondBar)} — ${pkgLabel(order.secondSize || order.pkg)}` : '',
+    order.fountainEnabled ? `🫗 Chocolate fountain: ${order.fountainType || '-'} — ${order.fountainSize || '-'} ppl` : '',
+  ];
+}
+
+const hoursText = h => `${Number(h.toFixed(2))}h`;
+
+// Bloque Timing de la descripción, con las duraciones del paquete en el catálogo
+export function timingLines(pkg) {
+  const { serviceHours, prepMinutes, cleanMinutes } = pkgDurations(pkg);
+  return [
+    '⏱️ Timing:',
+    `   • Prep: ${hoursText(prepMinutes / 60)} before start`,
+    `   • Service: ${hoursText(serviceHours)}`,
+    `   • Clean up: +${hoursText(cleanMinutes / 60)} after`,
+  ];
+}
+
+// Línea del código promocional dentro de Totals (vacía si no hubo)
+export function promoLine(code, discount) {
+  return code ? `   • Promo: ${code} (−$${Number(discount || 0).toFixed(0)})` : '';
+}
+
+// Reserva (no hold) por una propiedad privada, p.ej. sessionId o paymentIntent
+export async function findBooking(repo, key, value) {
+  if (!value) return null;
+  return (await repo.findByProp(key, value)).find(e => !isHold(e)) || null;
+}
+
+// Reserva por cualquiera de sus pagos (depósito o balance)
+export async function findBookingByPayment(repo, paymentIntent) {
+  return (await findBooking(repo, 'paymentIntent', paymentIntent))
+    || (await findBooking(repo, 'balancePaymentIntent', paymentIntent));
+}
+
+// Reemplaza la línea de la descripción que empieza con prefix (p.ej. "   • Balance:")
+export function replaceLine(description, prefix, line) {
+  return String(description || '').split('\n').map(l => (l.startsWith(prefix) ? line : l)).join('\n');
+}
+
+// Reemplaza la línea con ese prefijo, la agrega al final si no estaba o la quita si
+// value viene vacío (ediciones del staff)
+export function upsertLine(description, prefix, value) {
+  const lines = String(description || '').split('\n');
+  const line = value ? `${prefix} ${value}` : '';
+  const i = lines.findIndex(l => l.startsWith(prefix));
+  if (i >= 0) lines.splice(i, 1, ...(line ? [line] : []));
+  else if (line) lines.push(line);
+  return lines.join('\n');
+}
+
+// Valor de una línea "prefijo valor" de la descripción (reservas anteriores a las props)
+export function descriptionField(ev, prefix) {
+  const line = String(ev?.description || '').split('\n').find(l => l.startsWith(prefix));
+  return line ? line.slice(prefix.length).trim() : '';
+}
+
+// Reemplaza (o antepone) la línea "📌 Status: …" de la descripción
+export function withStatusLine(description, status, note = '') {
+  const line = `${STATUS_PREFIX} ${STATUS_LABELS[status] || status}${note ? ` — ${note}` : ''}`;
+  const rest = String(description || '').split('\n').filter(l => !l.startsWith(STATUS_PREFIX));
+  return [line, ...rest].join('\n');
+}
+
+/**
+ * Cambia el estado de la reserva: propiedades privadas + línea de estado.
+ * description reemplaza la descripción base; cancel:true además cancela el evento en
+ * Calendar (libera capacidad).
+ */
+export async function setBookingStatus(repo, ev, status, { note = '', props = {}, description, cancel = false, sendUpdates = 'none' } = {}) {
+  const requestBody = {
+    description: withStatusLine(description ?? ev.description, status, note),
+    extendedProperties: {
+      private: { ...privateProps(ev), ...props, bookingStatus: status, statusAt: new Date().toISOString() },
+    },
+  };
+  if (cancel) requestBody.status = 'cancelled';
+
+  return repo.patch(ev.id, requestBody, { sendUpdates });
+}
+
+/**
+ * Reserva como datos (lo que el staff hoy lee en la descripción con emojis): estado,
+ * cliente, afiliado, pedido, totales, traslado y crew a partir de extendedProperties.
+ */
+export function bookingView(ev) {
+  const p = privateProps(ev);
+  const num = v => Number(v || 0);
+  return {
+    id: ev.id,
+    status: p.bookingStatus || (ev.status === 'cancelled' ? 'cancelled' : 'confirmed'),
+    start: ev.start?.dateTime || ev.start?.date || null,
+    end: ev.end?.dateTime || ev.end?.date || null,
+    summary: ev.summary || '',
+    venue: ev.location || '',
+    customer: {
+      name: p.customerName || descriptionField(ev, '👤 Client:'),
+      email: p.customerEmail || descriptionField(ev, '✉️ Email:'),
+      phone: p.customerPhone || descriptionField(ev, '📞 Phone:'),
+      lang: p.lang || '',
+    },
+    notes: descriptionField(ev, '📝 Notes:'),
+    affiliate: p.affiliateId || p.affiliateName
+      ? { id: p.affiliateId || '', name: p.affiliateName || '', email: p.affiliateEmail || '' }
+      : null,
+    source: p.sessionId ? 'checkout' : (p.affiliateId || p.affiliateName ? 'affiliate' : 'manual'),
+    order: {
+      pkg: p.pkg || '',
+      mainBar: p.mainBar || '',
+      secondBar: p.secondEnabled === 'true' ? p.secondBar : '',
+      secondSize: p.secondEnabled === 'true' ? p.secondSize : '',
+      fountainType: p.fountainEnabled === 'true' ? p.fountainType : '',
+      fountainSize: p.fountainEnabled === 'true' ? p.fountainSize : '',
+    },
+    totals: {
+      total: num(p.total),
+      deposit: num(p.deposit),
+      balance: num(p.balance),
+      paidInFull: p.paidInFull === 'true',
+      promoCode: p.promoCode || '',
+      discount: num(p.discount),
+    },
+    travel: { zone: p.travelZone || '', zip: p.venueZip || '', bufferMinutes: num(p.travelBufferMin) },
+    crew: String(p.crew || '').split(',').filter(Boolean),
+    payments: { paymentIntent: p.paymentIntent || '', balancePaymentIntent: p.balancePaymentIntent || '' },
+    capacityOverride: p.capacityOverride || '',
+    statusAt: p.statusAt || '',
+  };
+}
@@ -0,0 +1,114 @@
+// /api/_catalog.js
+// Catálogo de productos: paquetes (invitados, horas de servicio, prep y limpieza, crew),
+// barras (precio por paquete, inventario), fuente de chocolate y etiquetas por idioma.
+// _rules.js toma de aquí las duraciones, _pricing.js los precios, _staff.js y
+// _equipment.js sus defaults, y /api/catalog lo publica para el front.
+//
+// ⚙️ Entorno (opcional; reemplazan _catalog.json completo):
+// - CATALOG_JSON  el catálogo en línea, con la misma forma que _catalog.json
+// - CATALOG_FILE  ruta a un archivo JSON con esa forma
+// Un catálogo inválido se reporta en el log y se usa el de _catalog.json.
+
+import fs from 'node:fs';
+
+const DEFAULT_FILE = new URL('./_catalog.json', import.meta.url);
+
+const isNum = v => typeof v === 'number' && Number.isFinite(v);
+
+// Problemas de forma que romperían precios u horarios; [] si está bien
+function catalogProblems(c) {
+  const out = [];
+  const pkgs = Object.keys(c?.packages || {});
+  if (!pkgs.length) out.push('packages is empty');
+  if (!Object.keys(c?.bars || {}).length) out.push('bars is empty');
+  for (const [id, p] of Object.entries(c?.packages || {})) {
+    if (!(isNum(p.serviceHours) && p.serviceHours > 0)) out.push(`packages.${id}.serviceHours must be > 0`);
+    for (const k of ['prepMinutes', 'cleanMinutes']) {
+      if (!(isNum(p[k]) && p[k] >= 0)) out.push(`packages.${id}.${k} must be >= 0`);
+    }
+  }
+  for (const [id, b] of Object.entries(c?.bars || {})) {
+    for (const pkg of pkgs) if (!isNum(b.prices?.[pkg])) out.push(`bars.${id}.prices.${pkg} is missing`);
+  }
+  for (const [id, f] of Object.entries(c?.fountain?.sizes || {})) {
+    if (!isNum(f.price)) out.push(`fountain.sizes.${id}.price is missing`);
+  }
+  for (const [id, f] of Object.entries(c?.fountain?.types || {})) {
+    if (!isNum(f.surcharge)) out.push(`fountain.types.${id}.surcharge is missing`);
+  }
+  return out;
+}
+
+function loadCatalog() {
+  const fallback = JSON.parse(fs.readFileSync(DEFAULT_FILE, 'utf8'));
+  const source = process.env.CATALOG_JSON ? 'CATALOG_JSON' : process.env.CATALOG_FILE ? 'CATALOG_FILE' : '';
+  if (!source) return fallback;
+  try {
+    const raw = source === 'CATALOG_JSON'
+      ? process.env.CATALOG_JSON
+      : fs.readFileSync(process.env.CATALOG_FILE, 'utf8');
+    const catalog = JSON.parse(raw);
+    const problems = catalogProblems(catalog);
+    if (!problems.length) return catalog;
+    console.error(`[catalog] invalid ${source}:`, problems.join('; '));
+  } catch (err) {
+    console.error(`[catalog] invalid ${source}:`, err?.message || err);
+  }
+  return fallback;
+}
+
+export const CATALOG = loadCatalog();
+
+export const LANGS = CATALOG.languages?.length ? CATALOG.languages : ['en'];
+export const PACKAGES = Object.keys(CATALOG.packages);
+export const BARS = Object.keys(CATALOG.bars);
+export const FOUNTAIN_SIZES = Object.keys(CATALOG.fountain?.sizes || {});
+export const FOUNTAIN_TYPES = Object.keys(CATALOG.fountain?.types || {});
+// La segunda barra cuesta esta fracción de su precio normal (80% si el catálogo no lo dice)
+export const SECOND_BAR_RATE = CATALOG.secondBarRate ?? 0.8;
+
+// Etiqueta en el idioma pedido, o en el primero del catálogo
+export function localized(label, lang) {
+  if (!label || typeof label === 'string') return label || '';
+  return label[lang] || label[LANGS[0]] || Object.values(label)[0] || '';
+}
+
+export function packageInfo(pkg) {
+  return CATALOG.packages[pkg] || null;
+}
+
+export function barInfo(bar) {
+  return CATALOG.bars[bar] || null;
+}
+
+/**
+ * Versión para el front: arreglos en el orden del catálogo, sin inventario ni crew.
+ * Con lang las etiquetas salen como texto; sin él, como { en, es, … }.
+ */
+export function publicCatalog(lang) {
+  const label = l => (lang ? localized(l, lang) : l);
+  const fountain = CATALOG.fountain || {};
+  return {
+    languages: LANGS,
+    packages: PACKAGES.map(id => {
+      const p = CATALOG.packages[id];
+      return {
+        id,
+        label: label(p.label),
+        guests: p.guests || null,
+        windowHours: p.windowHours ?? null,
+        serviceHours: p.serviceHours,
+        prepMinutes: p.prepMinutes,
+        cleanMinutes: p.cleanMinutes,
+      };
+    }),
+    bars: BARS.map(id => ({ id, label: label(CATALOG.bars[id].label), prices: CATALOG.bars[id].prices })),
+    secondBarRate: SECOND_BAR_RATE,
+    fountain: {
+      sizes: FOUNTAIN_SIZES.map(id => ({ id, label: label(fountain.sizes[id].label), price: fountain.sizes[id].price })),
+      types: FOUNTAIN_TYPES.map(id => ({
+        id, label: label(fountain.types[id].label), surcharge: fountain.types[id].surcharge,
+      })),
+    },
+  };
+}
@@ -0,0 +1,99 @@
+// /api/_commissions.js
+// Comisiones de afiliados. Cada reserva con afiliado (create-event o el webhook) deja una
+// entrada en la colección "ledger" con el monto vendido y la comisión según las reglas;
+// si la reserva se cancela o se reembolsa completa, la entrada queda anulada (void).
+// /api/affiliate/report la resume por periodo.
+//
+// ⚙️ Entorno: AFFILIATE_COMMISSIONS JSON por id de afiliado (ver _affiliates.js), "*" = default:
+//   {"*":{"rate":0.1},"ana":{"rate":0.15,"packages":{"250-350-6h":{"flat":150}}}}
+//   rate = fracción del total; flat = monto fijo por reserva (se suman si vienen ambos)
+
+import { insert, list, withCollection } from './_store.js';
+import { localYMD } from './_rules.js';
+
+const COLLECTION = 'ledger';
+const DEFAULT_RULES = { '*': { rate: 0.1 } };
+
+function loadRules() {
+  if (!process.env.AFFILIATE_COMMISSIONS) return DEFAULT_RULES;
+  try {
+    return JSON.parse(process.env.AFFILIATE_COMMISSIONS);
+  } catch (err) {
+    console.error('[commissions] invalid AFFILIATE_COMMISSIONS:', err?.message || err);
+    return DEFAULT_RULES;
+  }
+}
+const RULES = loadRules();
+
+// Clave estable del afiliado en el ledger
+export function affiliateKey(aff) {
+  return String(aff?.id || aff?.name || '').trim();
+}
+
+function ruleFor(key, pkg) {
+  const base = RULES[key] || RULES['*'] || {};
+  return { ...base, ...(base.packages?.[pkg] || {}) };
+}
+
+export function commissionFor(key, { pkg, total }) {
+  const rule = ruleFor(key, pkg);
+  const amount = Number(total || 0) * Number(rule.rate || 0) + Number(rule.flat || 0);
+  return { amount: Math.round(amount * 100) / 100, rate: Number(rule.rate || 0), flat: Number(rule.flat || 0) };
+}
+
+/**
+ * Registra la comisión de una reserva (una sola vez por eventId). booking trae
+ * { eventId, source, pkg, startISO, fullName, total }. Devuelve la entrada.
+ */
+export async function recordCommission(aff, booking) {
+  const key = affiliateKey(aff);
+  if (!key || !booking.eventId) return null;
+  const existing = (await list(COLLECTION, r => r.eventId === booking.eventId))[0];
+  if (existing) return existing;
+
+  const commission = commissionFor(key, booking);
+  return insert(COLLECTION, {
+    status: 'active',
+    affiliate: key,
+    affiliateName: aff.name || key,
+    eventId: booking.eventId,
+    source: booking.source,
+    pkg: booking.pkg,
+    startISO: booking.startISO,
+    date: localYMD(booking.startISO), // día local del evento; el reporte agrupa por él
+    client: booking.fullName || '',
+    total: Number(booking.total || 0),
+    commission: commission.amount,
+    rate: commission.rate,
+    flat: commission.flat,
+  });
+}
+
+// Anula la comisión de una reserva cancelada o reembolsada
+export function voidCommission(eventId, reason) {
+  return withCollection(COLLECTION, docs => {
+    const row = docs.find(d => d.eventId === eventId && d.status === 'active');
+    if (!row) return null;
+    Object.assign(row, { status: 'void', voidReason: reason, updatedAt: new Date().toISOString() });
+    return row;
+  });
+}
+
+// El evento cambió de horario: el reporte lo cuenta en su nueva fecha
+export function moveCommission(eventId, startISO) {
+  return withCollection(COLLECTION, docs => {
+    const row = docs.find(d => d.eventId === eventId);
+    if (!row) return null;
+    Object.assign(row, { startISO, date: localYMD(startISO), updatedAt: new Date().toISOString() });
+    return row;
+  });
+}
+
+// Entradas de un afiliado con evento en los días locales [from, to] (YYYY-MM-DD)
+export function ledgerFor(aff, { from, to } = {}) {
+  const key = affiliateKey(aff);
+  return list(COLLECTION, r =>
+    r.affiliate === key &&
+    (!from || r.date >= from) &&
+    (!to || r.date <= to));
+}
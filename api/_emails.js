@@ -0,0 +1,227 @@
+// /api/_emails.js
+// Correos al cliente (confirmación, recibo, recordatorio, cambio de horario, cancelación y
+// oferta de la lista de espera) en inglés o español, con el .ics de la reserva. Los datos
+// salen del evento de Calendar, así cualquier flujo que cambie una reserva puede avisar
+// con sendBookingEmail(kind, ev). Nunca lanzan: un correo fallido queda en el log.
+//
+// ⚙️ Entorno: MAIL_DEFAULT_LANG (en | es; default en). Transporte: ver _mail.js.
+
+import { TZ, barLabel, pkgLabel } from './_rules.js';
+import { privateProps, descriptionField } from './_booking.js';
+import { manageLink } from './_manage.js';
+import { eventICS } from './_ics.js';
+import { sendMail } from './_mail.js';
+
+const DEFAULT_LANG = process.env.MAIL_DEFAULT_LANG === 'es' ? 'es' : 'en';
+
+export function pickLang(v) {
+  const l = String(v || '').trim().toLowerCase().slice(0, 2);
+  return l === 'es' || l === 'en' ? l : DEFAULT_LANG;
+}
+
+const LOCALES = { en: 'en-US', es: 'es-MX' };
+
+function when(iso, lang) {
+  return new Intl.DateTimeFormat(LOCALES[lang], { timeZone: TZ, dateStyle: 'full', timeStyle: 'short' })
+    .format(new Date(iso));
+}
+const usd = n => `$${Number(n || 0).toFixed(0)}`;
+// "Total · pagado/depósito pendiente · saldo"; sin pago registrado el depósito no figura como pagado
+const amountsLine = (d, [total, paid, due, balance]) => [
+  `${total} ${usd(d.total)}`,
+  d.paid ? `${paid} ${usd(d.deposit)}` : d.deposit > 0 ? `${due} ${usd(d.deposit)}` : '',
+  `${balance} ${usd(d.balance)}`,
+].filter(Boolean).join(' · ') + '.';
+
+// ---------- Plantillas: (datos) → { subject, lines } ----------
+const TEMPLATES = {
+  en: {
+    confirmation: d => ({
+      subject: `Your Manna Snack Bars booking is confirmed — ${d.date}`,
+      lines: [
+        `Hi ${d.name},`,
+        `Your ${d.bar} (${d.pkg}) is booked for ${d.date}${d.venue ? ` at ${d.venue}` : ''}.`,
+        amountsLine(d, ['Total', 'paid', 'deposit due', 'balance']),
+        `Manage or cancel your booking: ${d.manageUrl}`,
+        'The attached calendar file adds the event to your calendar.',
+      ],
+    }),
+    receipt: d => ({
+      subject: `Receipt — ${usd(d.amount)} paid`,
+      lines: [
+        `Hi ${d.name},`,
+        `We received your ${d.label === 'balance' ? 'balance' : 'deposit'} payment of ${usd(d.amount)} for ${d.date}.`,
+        d.balance > 0 ? `Remaining balance: ${usd(d.balance)}.` : 'Your booking is paid in full.',
+        `Booking details: ${d.manageUrl}`,
+      ],
+    }),
+    reminder: d => ({
+      subject: d.days === 1 ? 'See you tomorrow!' : `Your event is in ${d.days} days`,
+      lines: [
+        `Hi ${d.name},`,
+        `Reminder: your ${d.bar} (${d.pkg}) is on ${d.date}${d.venue ? ` at ${d.venue}` : ''}.`,
+        d.balance > 0 ? `Balance due: ${usd(d.balance)}.` : '',
+        `Manage your booking: ${d.manageUrl}`,
+      ],
+    }),
+    rescheduled: d => ({
+      subject: `Your booking moved to ${d.date}`,
+      lines: [
+        `Hi ${d.name},`,
+        `Your ${d.bar} (${d.pkg}) is now on ${d.date}${d.venue ? ` at ${d.venue}` : ''}.`,
+        `Manage your booking: ${d.manageUrl}`,
+        'The attached calendar file replaces the previous one.',
+      ],
+    }),
+    cancellation: d => ({
+      subject: `Your booking for ${d.date} was cancelled`,
+      lines: [
+        `Hi ${d.name},`,
+        `Your ${d.bar} (${d.pkg}) booking for ${d.date} has been cancelled.`,
+        d.refundAmount > 0 ? `A refund of ${usd(d.refundAmount)} is on its way to your card.` : '',
+        'We hope to celebrate with you another time.',
+      ],
+    }),
+    waitlist_offer: d => ({
+      subject: `A spot opened up on ${d.day}`,
+      lines: [
+        `Hi ${d.name},`,
+        `Good news: there is availability on ${d.day} for the date you were waiting for.`,
+        `Book it before ${d.expires}: ${d.claimUrl}`,
+        'After that, the spot goes to the next person on the list.',
+      ],
+    }),
+  },
+  es: {
+    confirmation: d => ({
+      subject: `Tu reserva con Manna Snack Bars está confirmada — ${d.date}`,
+      lines: [
+        `Hola ${d.name}:`,
+        `Tu ${d.bar} (${d.pkg}) quedó reservada para el ${d.date}${d.venue ? ` en ${d.venue}` : ''}.`,
+        amountsLine(d, ['Total', 'pagado', 'depósito pendiente', 'saldo']),
+        `Administra o cancela tu reserva: ${d.manageUrl}`,
+        'El archivo adjunto agrega el evento a tu calendario.',
+      ],
+    }),
+    receipt: d => ({
+      subject: `Recibo — ${usd(d.amount)} pagados`,
+      lines: [
+        `Hola ${d.name}:`,
+        `Recibimos tu pago ${d.label === 'balance' ? 'del saldo' : 'del depósito'} de ${usd(d.amount)} para el ${d.date}.`,
+        d.balance > 0 ? `Saldo pendiente: ${usd(d.balance)}.` : 'Tu reserva está pagada por completo.',
+        `Detalles de tu reserva: ${d.manageUrl}`,
+      ],
+    }),
+    reminder: d => ({
+      subject: d.days === 1 ? '¡Nos vemos mañana!' : `Tu evento es en ${d.days} días`,
+      lines: [
+        `Hola ${d.name}:`,
+        `Recordatorio: tu ${d.bar} (${d.pkg}) es el ${d.date}${d.venue ? ` en ${d.venue}` : ''}.`,
+        d.balance > 0 ? `Saldo pendiente: ${usd(d.balance)}.` : '',
+        `Administra tu reserva: ${d.manageUrl}`,
+      ],
+    }),
+    rescheduled: d => ({
+      subject: `Tu reserva cambió al ${d.date}`,
+      lines: [
+        `Hola ${d.name}:`,
+        `Tu ${d.bar} (${d.pkg}) ahora es el ${d.date}${d.venue ? ` en ${d.venue}` : ''}.`,
+        `Administra tu reserva: ${d.manageUrl}`,
+        'El archivo adjunto reemplaza al anterior.',
+      ],
+    }),
+    cancellation: d => ({
+      subject: `Tu reserva del ${d.date} fue cancelada`,
+      lines: [
+        `Hola ${d.name}:`,
+        `Tu reserva de ${d.bar} (${d.pkg}) para el ${d.date} fue cancelada.`,
+        d.refundAmount > 0 ? `Un reembolso de ${usd(d.refundAmount)} va en camino a tu tarjeta.` : '',
+        'Esperamos celebrar contigo en otra ocasión.',
+      ],
+    }),
+    waitlist_offer: d => ({
+      subject: `Se liberó un lugar el ${d.day}`,
+      lines: [
+        `Hola ${d.name}:`,
+        `Buenas noticias: hay disponibilidad el ${d.day}, la fecha que estabas esperando.`,
+        `Resérvala antes del ${d.expires}: ${d.claimUrl}`,
+        'Después, el lugar pasa a la siguiente persona de la lista.',
+      ],
+    }),
+  },
+};
+
+const escapeHtml = v => String(v).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+function render(kind, lang, data) {
+  const { subject, lines } = TEMPLATES[lang][kind](data);
+  const body = lines.filter(Boolean);
+  const html = body
+    .map(l => `<p>${escapeHtml(l).replace(/(https?:\/\/\S+)/g, '<a href="$1">$1</a>')}</p>`)
+    .join('\n');
+  return { subject, text: `${body.join('\n\n')}\n\n— Manna Snack Bars`, html: `${html}\n<p>— Manna Snack Bars</p>` };
+}
+
+// Nombre del cliente: propiedad privada o la línea "👤 Client:" de la descripción
+function clientName(ev, props) {
+  return props.customerName || descriptionField(ev, '👤 Client:');
+}
+
+/**
+ * Correo de una reserva. kind: confirmation | receipt | reminder | rescheduled | cancellation.
+ * extra: { amount, label } (receipt), { days } (reminder), { refundAmount } (cancellation).
+ * Devuelve el resultado de sendMail o { ok:false, skipped } si no hay a quién enviarlo.
+ */
+export async function sendBookingEmail(kind, ev, extra = {}) {
+  try {
+    const props = privateProps(ev);
+    const to = props.customerEmail || '';
+    if (!to) return { ok: false, skipped: 'no_customer_email' };
+
+    const lang = pickLang(props.lang);
+    const cancelled = kind === 'cancellation';
+    const manageUrl = cancelled ? '' : manageLink(ev.id);
+    const data = {
+      name: clientName(ev, props) || (lang === 'es' ? 'cliente' : 'there'),
+      date: when(ev.start?.dateTime || ev.start?.date, lang),
+      venue: ev.location || '',
+      bar: barLabel(props.mainBar, lang),
+      pkg: pkgLabel(props.pkg, lang),
+      total: Number(props.total || 0),
+      deposit: Number(props.deposit || 0),
+      balance: Number(props.balance || 0),
+      paid: !!(props.sessionId || props.paymentIntent),
+      manageUrl,
+      ...extra,
+    };
+    const msg = render(kind, lang, data);
+    const attachments = kind === 'receipt' ? [] : [{
+      filename: 'manna-booking.ics',
+      content: eventICS(ev, { cancelled, url: manageUrl || undefined }),
+      contentType: `text/calendar; charset=utf-8; method=${cancelled ? 'CANCEL' : 'PUBLISH'}`,
+    }];
+    return await sendMail({ to, ...msg, attachments });
+  } catch (err) {
+    console.error('[emails] booking email failed', kind, ev?.id, err?.message || err);
+    return { ok: false, error: String(err?.message || err) };
+  }
+}
+
+// Oferta de la lista de espera (entrada de _waitlist.js)
+export async function sendWaitlistOffer(entry) {
+  try {
+    const lang = pickLang(entry.lang);
+    const day = new Intl.DateTimeFormat(LOCALES[lang], { timeZone: 'UTC', dateStyle: 'full' })
+      .format(new Date(`${entry.date}T12:00:00Z`));
+    const msg = render('waitlist_offer', lang, {
+      name: entry.fullName,
+      day,
+      expires: when(entry.offerExpiresAt, lang),
+      claimUrl: entry.claimUrl,
+    });
+    return await sendMail({ to: entry.email, ...msg });
+  } catch (err) {
+    console.error('[emails] waitlist offer failed', entry?.id, err?.message || err);
+    return { ok: false, error: String(err?.message || err) };
+  }
+}
@@ -0,0 +1,79 @@
+// /api/_equipment.js
+// Inventario de equipo: cuántos carritos/setups hay de cada barra y de la fuente.
+// _rules.js no ofrece ni acepta un inicio si el equipo pedido ya está ocupado en su
+// ventana operativa (prep + servicio + limpieza).
+//
+// ⚙️ Entorno: EQUIPMENT_INVENTORY JSON, p.ej.
+//   {"bar:tostiloco":1,"bar:pancake":2,"fountain":1,"fountain:ruby":1}
+// "fountain:<tipo>" aplica a ese tipo de chocolate; si no existe se usa "fountain".
+// Lo que no aparece no tiene límite propio (solo MAX_PER_SLOT). Sin la variable se usa
+// el "inventory" de cada barra y de la fuente en _catalog.js.
+
+import { CATALOG, barInfo, localized } from './_catalog.js';
+
+function catalogInventory() {
+  const out = {};
+  for (const [bar, b] of Object.entries(CATALOG.bars)) if (b.inventory !== undefined) out[`bar:${bar}`] = b.inventory;
+  if (CATALOG.fountain?.inventory !== undefined) out.fountain = CATALOG.fountain.inventory;
+  return out;
+}
+const DEFAULT_INVENTORY = catalogInventory();
+
+function loadInventory() {
+  if (!process.env.EQUIPMENT_INVENTORY) return DEFAULT_INVENTORY;
+  try {
+    return JSON.parse(process.env.EQUIPMENT_INVENTORY);
+  } catch (err) {
+    console.error('[equipment] invalid EQUIPMENT_INVENTORY:', err?.message || err);
+    return DEFAULT_INVENTORY;
+  }
+}
+const INVENTORY = loadInventory();
+
+const flag = v => v === true || v === 'true';
+
+function fountainKey(type) {
+  return type && `fountain:${type}` in INVENTORY ? `fountain:${type}` : 'fountain';
+}
+
+/**
+ * Equipo que requiere un pedido { mainBar, secondEnabled, secondBar, fountainEnabled,
+ * fountainType } (misma forma que quoteInput). Una clave por unidad.
+ */
+export function orderEquipment(order = {}) {
+  const keys = [];
+  if (order.mainBar) keys.push(`bar:${order.mainBar}`);
+  if (flag(order.secondEnabled) && order.secondBar) keys.push(`bar:${order.secondBar}`);
+  if (flag(order.fountainEnabled)) keys.push(fountainKey(order.fountainType));
+  return keys;
+}
+
+// Equipo de un evento existente, leído de sus propiedades privadas
+export function eventEquipment(ev) {
+  const p = ev?.extendedProperties?.private || {};
+  return orderEquipment({
+    mainBar: p.mainBar,
+    secondEnabled: p.secondEnabled ?? (p.secondBar ? 'true' : 'false'),
+    secondBar: p.secondBar,
+    fountainEnabled: p.fountainEnabled ?? (p.fountainType ? 'true' : 'false'),
+    fountainType: p.fountainType,
+  });
+}
+
+export function inventoryFor(key) {
+  const n = INVENTORY[key];
+  return n === undefined ? Infinity : Number(n);
+}
+
+// { clave: unidades } del pedido
+export function countEquipment(keys) {
+  const out = {};
+  for (const k of keys) out[k] = (out[k] || 0) + 1;
+  return out;
+}
+
+export function equipmentLabel(key) {
+  const [kind, name] = key.split(':');
+  if (kind === 'fountain') return name ? `${name} chocolate fountain` : 'chocolate fountain';
+  return `${localized(barInfo(name)?.label) || name} setup`;
+}
@@ -0,0 +1,132 @@
+// /api/_errors.js
+// Sobre único de error para todas las rutas: { ok:false, error, detail, fields? }.
+// error es un código del catálogo (status HTTP + mensaje por defecto); fields trae los
+// errores por campo de la validación (_schema.js): { campo: { code, message } }.
+
+export const ERRORS = {
+  // ----- Petición
+  method_not_allowed:     [405, 'Method not allowed.'],
+  invalid_request:        [400, 'Some fields are missing or invalid.'],
+  invalid_range:          [400, 'The date range is invalid.'],
+  invalid_action:         [400, 'Unknown action.'],
+  invalid_signature:      [400, 'The Stripe signature could not be verified.'],
+  unauthorized:           [401, 'Missing or invalid credentials.'],
+  server_misconfigured:   [500, 'The server is missing required configuration.'],
+  missing_STRIPE_SECRET_KEY: [500, 'STRIPE_SECRET_KEY is not configured.'],
+
+  // ----- Horario y capacidad (_rules.js)
+  invalid_start:          [400, 'startISO is not a valid date.'],
+  blackout_date:          [409, 'We are closed on that date.'],
+  outside_business_hours: [409, 'That start time is outside business hours.'],
+  unaligned_start:        [400, 'That start time is not one of the offered slots.'],
+  slot_in_past:           [409, 'That time has already passed.'],
+  within_lead_time:       [409, 'That date is too soon to book.'],
+  beyond_booking_horizon: [409, 'That date is too far ahead to book.'],
+  capacity_day_limit:     [409, 'That day is fully booked.'],
+  capacity_overlap_limit: [409, 'That time slot is fully booked.'],
+  equipment_unavailable:  [409, 'The requested equipment is already booked at that time.'],
+  no_crew_available:      [409, 'No crew is available at that time.'],
+
+  // ----- Pedido, precio y zona (_pricing.js, _zones.js, _promos.js)
+  unknown_package:        [400, 'Unknown package.'],
+  unknown_bar:            [400, 'Unknown bar.'],
+  unknown_fountain_size:  [400, 'Unknown fountain size.'],
+  unknown_fountain_type:  [400, 'Unknown fountain type.'],
+  price_mismatch:         [400, 'The total does not match the current price.'],
+  deposit_out_of_range:   [400, 'The deposit is out of range.'],
+  nothing_to_charge:      [400, 'The order total is $0.'],
+  nothing_due:            [409, 'There is no balance due.'],
+  venue_required:         [400, 'A venue address is required.'],
+  outside_service_area:   [400, 'The venue is outside our service area.'],
+  venue_unrecognized:     [400, 'We could not locate the venue.'],
+  promo_not_found:        [400, 'Unknown promo code.'],
+  promo_not_active:       [400, 'The promo code is not active.'],
+  promo_exhausted:        [400, 'The promo code has been used up.'],
+  promo_not_applicable:   [400, 'The promo code does not apply to this order.'],
+
+  // ----- Afiliados (_affiliates.js)
+  invalid_pin:            [401, 'Invalid PIN.'],
+  invalid_pin_format:     [400, 'The PIN must be 4–12 digits.'],
+  too_many_attempts:      [429, 'Too many attempts; try again later.'],
+  affiliate_disabled:     [403, 'This affiliate is disabled.'],
+  affiliate_expired:      [403, 'This affiliate has expired.'],
+  package_not_allowed:    [403, 'This affiliate cannot book that package.'],
+  affiliate_not_found:    [404, 'Affiliate not found.'],
+  staff_not_found:        [404, 'Staff member not found.'],
+  pin_in_use:             [409, 'That PIN belongs to another affiliate.'],
+  invalid_expiresAt:      [400, 'expiresAt is not a valid date.'],
+  missing_fields:         [400, 'Some required fields are missing.'],
+
+  // ----- Reservas y autogestión (_manage.js, admin)
+  invalid_token:          [401, 'The link is invalid or expired.'],
+  booking_not_found:      [404, 'Booking not found.'],
+  too_late_to_change:     [409, 'The booking can no longer be changed online.'],
+  already_cancelled:      [409, 'The booking is already cancelled.'],
+  nothing_to_change:      [400, 'Nothing to change.'],
+  missing_reason:         [400, 'A reason is required.'],
+
+  // ----- Lista de espera (_waitlist.js)
+  invalid_claim:          [401, 'The offer link is invalid.'],
+  claim_not_found:        [404, 'The offer was not found.'],
+  claim_used:             [409, 'The offer was already used.'],
+  claim_expired:          [410, 'The offer has expired.'],
+  claim_date_mismatch:    [400, 'The offer is for another date.'],
+  date_in_past:           [400, 'That date has already passed.'],
+
+  // ----- Staff (admin/*)
+  review_not_found:       [404, 'Review not found.'],
+  event_not_found:        [404, 'Stripe event not found.'],
+
+  // ----- Fallos del servidor, uno por ruta
+  availability_failed:    [500, 'Could not load availability.'],
+  quote_failed:           [500, 'Could not build the quote.'],
+  catalog_failed:         [500, 'Could not load the catalog.'],
+  checkout_failed:        [500, 'Could not start the checkout.'],
+  balance_checkout_failed: [500, 'Could not start the balance checkout.'],
+  create_event_failed:    [500, 'Could not create the booking.'],
+  cancel_failed:          [500, 'Could not cancel the booking.'],
+  reschedule_failed:      [500, 'Could not reschedule the booking.'],
+  waitlist_failed:        [500, 'Could not join the waitlist.'],
+  claim_failed:           [500, 'Could not load the offer.'],
+  report_failed:          [500, 'Could not build the report.'],
+  affiliates_failed:      [500, 'Could not update affiliates.'],
+  reviews_failed:         [500, 'Could not update reviews.'],
+  bookings_failed:        [500, 'Could not update bookings.'],
+  webhooks_failed:        [500, 'Could not update webhook events.'],
+  webhook_failed:         [500, 'The Stripe event could not be processed.'],
+  journal_failed:         [500, 'The Stripe event could not be recorded.'],
+  reminders_failed:       [500, 'The reminders job failed.'],
+  waitlist_cron_failed:   [500, 'The waitlist job failed.'],
+  webhooks_cron_failed:   [500, 'The webhook retry job failed.'],
+  ics_failed:             [500, 'Could not build the calendar file.'],
+  feed_failed:            [500, 'Could not build the calendar feed.'],
+  feeds_failed:           [500, 'Could not create the feed link.'],
+};
+
+export function errorStatus(code) {
+  return ERRORS[code]?.[0] || 500;
+}
+
+// Cuerpo del error; status solo si el que llama sabe uno más preciso que el catálogo
+export function errorBody(code, { detail, fields, ...extra } = {}) {
+  const out = { ok: false, error: code, detail: detail ?? ERRORS[code]?.[1] ?? null };
+  if (fields) out.fields = fields;
+  return { ...out, ...extra };
+}
+
+export function sendError(res, code, { status, ...rest } = {}) {
+  return res.status(status || errorStatus(code)).json(errorBody(code, rest));
+}
+
+// Error inesperado de una ruta: 500 (o el status HTTP que traiga, p. ej. de Google) con el mensaje
+export function sendFailure(res, code, err) {
+  const upstream = Number(err?.status || err?.response?.status);
+  const status = upstream >= 400 ? upstream : errorStatus(code);
+  return sendError(res, code, { status, detail: String(err?.message || err) });
+}
+
+// Rechazo de un helper: { ok:false, error, detail, status? } o un verdict de _rules.js
+// ({ ok:false, reason, detail })
+export function sendResult(res, { error, reason, status, detail }) {
+  return sendError(res, error || reason, { status, detail });
+}
@@ -0,0 +1,108 @@
+// /api/_feeds.js
+// Feeds iCalendar de suscripción para afiliados y staff (/api/calendar/feed?token=…), para
+// quien no usa Google Calendar. El token firmado lleva el tipo y el id: un afiliado de
+// _affiliates.js (ve sus reservas) o una persona del roster de _staff.js (ve las que tiene
+// asignadas, con prep y limpieza como bloques aparte, traslado incluido). El staff reparte
+// los links desde /api/admin/feeds; el afiliado ve el suyo en /api/affiliate/report.
+//
+// ⚙️ Entorno (opcional):
+// - FEED_URL   URL pública de /api/calendar/feed (default https://mannasnackbars.com/api/calendar/feed)
+// - FEED_DAYS  días hacia adelante que incluye el feed (default 180); la última semana también
+
+import { signToken, verifyToken } from './_tokens.js';
+import { getAffiliate } from './_affiliates.js';
+import { staffByIds, eventCrew } from './_staff.js';
+import { isHold, localYMD, addDaysYMD, dayRange, operationalWindow } from './_rules.js';
+import { privateProps, upsertLine } from './_booking.js';
+import { eventTravelMinutes } from './_zones.js';
+import { buildCalendar, eventFields } from './_ics.js';
+
+const FEED_URL = process.env.FEED_URL || 'https://mannasnackbars.com/api/calendar/feed';
+const FEED_DAYS = Number(process.env.FEED_DAYS || 180);
+const PAST_DAYS = 7;
+// Un calendario suscrito no se renueva solo; se corta desactivando al afiliado o sacando
+// a la persona del roster
+const TOKEN_TTL_MS = 5 * 365 * 24 * 3600e3;
+
+export const FEED_KINDS = ['affiliate', 'staff'];
+
+export function feedLink(kind, id) {
+  const token = signToken('feed', { k: kind, i: id }, Date.now() + TOKEN_TTL_MS);
+  return `${FEED_URL}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Dueño de un feed: { kind, id, name } o { status, error } si ya no existe, el afiliado
+ * está desactivado o venció.
+ */
+export async function findFeedOwner(kind, id, now = new Date()) {
+  if (kind === 'affiliate') {
+    const aff = await getAffiliate(id);
+    if (!aff) return { status: 404, error: 'affiliate_not_found' };
+    if (!aff.enabled) return { status: 403, error: 'affiliate_disabled' };
+    if (aff.expiresAt && new Date(aff.expiresAt) <= now) return { status: 403, error: 'affiliate_expired' };
+    return { kind, id: aff.id, name: aff.name || aff.id };
+  }
+  const [person] = staffByIds([id]);
+  if (!person) return { status: 404, error: 'staff_not_found' };
+  return { kind, id: person.id, name: person.name || person.id };
+}
+
+export async function feedOwner(token, now = new Date()) {
+  const payload = verifyToken(token, 'feed');
+  if (!payload?.i || !FEED_KINDS.includes(payload.k)) return { status: 401, error: 'invalid_token' };
+  return findFeedOwner(payload.k, payload.i, now);
+}
+
+// El servicio, sin el link de autogestión del cliente
+function serviceEntry(ev) {
+  return eventFields(ev, { description: upsertLine(ev.description, '🔗 Manage booking:', '') });
+}
+
+// Traslado + prep, servicio, limpieza + traslado: tres bloques con UID propio
+function staffEntries(ev) {
+  const service = serviceEntry(ev);
+  const travel = eventTravelMinutes(ev);
+  const window = operationalWindow(service.start, privateProps(ev).pkg, travel);
+  const end = new Date(service.end);
+  const withTravel = travel ? ` (incl. ${travel} min travel)` : '';
+  return [
+    {
+      ...service,
+      uid: `${ev.id}-prep`,
+      start: window.opStart,
+      end: service.start,
+      summary: `🧰 Prep — ${ev.summary}`,
+      description: `Setup${withTravel} for ${ev.summary}.`,
+    },
+    service,
+    {
+      ...service,
+      uid: `${ev.id}-clean`,
+      start: end,
+      end: new Date(end.getTime() + (window.cleanMinutes + travel) * 60e3),
+      summary: `🧹 Clean up — ${ev.summary}`,
+      description: `Clean up${withTravel} after ${ev.summary}.`,
+    },
+  ];
+}
+
+/**
+ * Feed del dueño: sus reservas de la última semana a FEED_DAYS adelante. Las canceladas
+ * van con STATUS:CANCELLED para que el calendario suscrito las quite.
+ */
+export async function feedCalendar(repo, owner, now = new Date()) {
+  const today = localYMD(now);
+  const events = await repo.listRange({
+    timeMin: dayRange(addDaysYMD(today, -PAST_DAYS)).dayStartISO,
+    timeMax: dayRange(addDaysYMD(today, FEED_DAYS)).dayEndISO,
+    includeCancelled: true,
+  });
+  const mine = events
+    .filter(ev => !isHold(ev))
+    .filter(ev => (owner.kind === 'affiliate'
+      ? privateProps(ev).affiliateId === owner.id
+      : eventCrew(ev).includes(owner.id)));
+  const entries = mine.flatMap(ev => (owner.kind === 'staff' ? staffEntries(ev) : [serviceEntry(ev)]));
+  return buildCalendar(entries, { name: `Manna Snack Bars — ${owner.name}` });
+}
@@ -0,0 +1,82 @@
+// /api/_holds.js
+// Holds: evento provisional en el repositorio de reservas (_repo.js) que aparta la
+// ventana operativa mientras el cliente paga en Stripe. Cuenta como ocupado en
+// availability y en las capacidades (ver _rules.js), se libera con
+// checkout.session.expired y el webhook lo convierte en el evento real con
+// checkout.session.completed.
+
+import crypto from 'node:crypto';
+import {
+  TZ, HOLD_MINUTES, barLabel, pkgLabel, operationalWindow, recheckWritten, isHold,
+} from './_rules.js';
+import { orderProps } from './_booking.js';
+import { travelProps } from './_zones.js';
+
+// Margen sobre expires_at de Stripe para que el completed tardío aún encuentre su hold
+const HOLD_GRACE_MINUTES = 5;
+// Stripe rechaza expires_at < 30 min desde que crea la sesión; 1 min de colchón
+const STRIPE_EXPIRY_SLACK_MS = 60e3;
+
+export function newHoldId() {
+  return crypto.randomUUID();
+}
+
+export async function findHold(repo, holdId) {
+  if (!holdId) return null;
+  return (await repo.findByProp('holdId', holdId, { limit: 5 })).find(e => e.status !== 'cancelled') || null;
+}
+
+/**
+ * Inserta el hold (con el crew que eligió checkSlot) y vuelve a evaluar la capacidad
+ * sin contarse a sí mismo: si otro checkout apartó el mismo hueco o la misma gente en
+ * paralelo, se borra y se devuelve el rechazo. Corre dentro de repo.transaction para que
+ * en el mismo proceso ninguna otra escritura se cuele entre el insert y la verificación.
+ * Devuelve { ok:true, hold, expiresAt } o el verdict de checkSlot con ok:false.
+ */
+export function placeHold(repo, input) {
+  return repo.transaction(() => insertHold(repo, input));
+}
+
+async function insertHold(repo, { holdId, startISO, pkg, order, crew = [], fullName }) {
+  const { serviceEnd } = operationalWindow(startISO, pkg);
+  const expiresAt = new Date(Date.now() + HOLD_MINUTES * 60e3 + STRIPE_EXPIRY_SLACK_MS);
+  const holdExpiresAt = new Date(expiresAt.getTime() + HOLD_GRACE_MINUTES * 60e3).toISOString();
+
+  const hold = await repo.insert({
+    summary: `⏳ HOLD — ${barLabel(order.mainBar)} — ${pkgLabel(pkg)} — ${fullName}`,
+    description: `Checkout in progress. Released automatically at ${holdExpiresAt}.`,
+    start: { dateTime: startISO, timeZone: TZ },
+    end:   { dateTime: serviceEnd.toISOString(), timeZone: TZ },
+    extendedProperties: {
+      private: {
+        kind: 'hold', holdId, holdExpiresAt,
+        // Equipo apartado (lo lee eventEquipment)
+        ...orderProps({ ...order, pkg }),
+        crew: crew.map(p => p.id).join(','),
+        // Traslado de la zona del venue (lo lee eventTravelMinutes)
+        ...travelProps(order),
+      },
+    },
+  });
+
+  const clash = await recheckWritten(repo, hold, { startISO, pkg, order }, () => deleteHoldEvent(repo, hold));
+  return clash || { ok: true, hold, expiresAt };
+}
+
+export async function attachSession(repo, hold, sessionId) {
+  await repo.patch(hold.id, {
+    extendedProperties: { private: { ...hold.extendedProperties?.private, sessionId } },
+  });
+}
+
+// false si ya estaba borrado
+async function deleteHoldEvent(repo, ev) {
+  if (!ev || !isHold(ev)) return false;
+  return repo.remove(ev.id);
+}
+
+// Libera el hold si sigue siendo hold (si ya se convirtió en evento real no se toca)
+export async function releaseHold(repo, holdId) {
+  const ev = await findHold(repo, holdId);
+  return deleteHoldEvent(repo, ev);
+}
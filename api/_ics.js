@@ -0,0 +1,104 @@
+// /api/_ics.js
+// Archivos iCalendar (RFC 5545): el de una reserva (correos y /api/booking/ics) y los
+// feeds de afiliados y staff (_feeds.js). UID estable por evento: el cliente de correo o
+// de calendario actualiza la misma entrada al reprogramar o cancelar.
+
+const ICS_DOMAIN = process.env.ICS_DOMAIN || 'mannasnackbars.com';
+
+// 20261019T180000Z
+function icsDate(d) {
+  return new Date(d).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(v) {
+  return String(v || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Líneas de más de 75 octetos se pliegan con CRLF + espacio, siempre entre caracteres
+// completos (un emoji son 4 octetos y dos unidades UTF-16: no se parte)
+function fold(line) {
+  const out = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (bytes + size > 75) {
+      out.push(current);
+      current = ' ';
+      bytes = 1;
+    }
+    current += ch;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join('\r\n');
+}
+
+// VEVENT de { uid, start, end, summary, location, description, url, sequence, cancelled }
+function veventLines({ uid, start, end, summary, location, description, url, sequence = 0, cancelled = false }, stamp) {
+  return [
+    'BEGIN:VEVENT',
+    `UID:${uid.includes('@') ? uid : `${uid}@${ICS_DOMAIN}`}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(end)}`,
+    `SEQUENCE:${Number(sequence) || 0}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    `SUMMARY:${escapeText(summary)}`,
+    location ? `LOCATION:${escapeText(location)}` : '',
+    description ? `DESCRIPTION:${escapeText(description)}` : '',
+    url ? `URL:${url}` : '',
+    'END:VEVENT',
+  ];
+}
+
+/**
+ * VCALENDAR con varios VEVENT (mismos campos que buildICS). name = nombre del calendario
+ * para las suscripciones (X-WR-CALNAME); method CANCEL solo para avisos de cancelación.
+ */
+export function buildCalendar(events, { name, method = 'PUBLISH' } = {}) {
+  const stamp = icsDate(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Manna Snack Bars//Bookings//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    name ? `X-WR-CALNAME:${escapeText(name)}` : '',
+    ...events.flatMap(e => veventLines(e, stamp)),
+    'END:VCALENDAR',
+  ].filter(Boolean);
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+}
+
+/**
+ * VCALENDAR con un VEVENT. cancelled=true genera METHOD:CANCEL / STATUS:CANCELLED.
+ * { uid, start, end, summary, location, description, url, sequence, cancelled }
+ */
+export function buildICS(event) {
+  return buildCalendar([event], { method: event.cancelled ? 'CANCEL' : 'PUBLISH' });
+}
+
+// Evento de Calendar → campos de VEVENT (el servicio, sin prep ni limpieza)
+export function eventFields(ev, { cancelled = false, url, description } = {}) {
+  return {
+    uid: ev.id,
+    start: ev.start?.dateTime || ev.start?.date,
+    end: ev.end?.dateTime || ev.end?.date,
+    summary: ev.summary,
+    location: ev.location,
+    description,
+    url,
+    sequence: ev.sequence,
+    cancelled: cancelled || ev.status === 'cancelled',
+  };
+}
+
+// Evento de Calendar → ICS
+export function eventICS(ev, opts = {}) {
+  return buildICS(eventFields(ev, opts));
+}
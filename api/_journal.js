@@ -0,0 +1,107 @@
+// /api/_journal.js
+// Bitácora de eventos de Stripe (colección "webhook_events", id = event.id). Cada evento
+// verificado queda guardado con su payload, intentos y resultado. Un fallo transitorio
+// (Google/red: 429, 5xx, timeouts) se reprograma con backoff y lo reintenta
+// /api/cron/webhooks; el staff puede reprocesar cualquiera desde /api/admin/webhooks.
+//
+// ⚙️ Entorno (opcional):
+// - WEBHOOK_RETRY_MINUTES  espera antes de cada reintento (default "1,5,15,60,240"); al
+//                          agotarse la lista el evento queda failed
+// - WEBHOOK_STALE_MINUTES  un "processing" más viejo que esto se da por caído (default 10)
+
+import { get, insert, list, update } from './_store.js';
+
+const COLLECTION = 'webhook_events';
+const RETRY_MINUTES = String(process.env.WEBHOOK_RETRY_MINUTES || '1,5,15,60,240')
+  .split(',').map(Number).filter(n => Number.isFinite(n) && n >= 0);
+const STALE_MINUTES = Number(process.env.WEBHOOK_STALE_MINUTES || 10);
+
+const NETWORK_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE']);
+
+// Vale la pena reintentar: límite de cuota, error del servidor o de red
+export function isTransient(err) {
+  const status = Number(err?.response?.status || err?.status || (typeof err?.code === 'number' ? err.code : 0));
+  if (status) return status === 408 || status === 429 || status >= 500;
+  return NETWORK_CODES.has(err?.code) || err?.name === 'AbortError';
+}
+
+const errorText = err => {
+  const detail = err?.response?.data?.error?.message || err?.message || String(err);
+  return String(detail).slice(0, 1000);
+};
+
+/**
+ * Guarda el evento la primera vez (status received, o ignored si no hay handler) y
+ * devuelve la entrada; una reentrega de Stripe devuelve la existente sin tocarla.
+ */
+export async function journalEvent(event, { handled = true } = {}) {
+  const existing = await get(COLLECTION, event.id);
+  if (existing) return existing;
+  const obj = event.data?.object || {};
+  return insert(COLLECTION, {
+    id: event.id,
+    type: event.type,
+    objectId: obj.id || '',
+    sessionId: obj.object === 'checkout.session' ? obj.id : '',
+    stripeCreated: event.created ? new Date(event.created * 1000).toISOString() : '',
+    status: handled ? 'received' : 'ignored',
+    attempts: 0,
+    payload: event,
+  });
+}
+
+export function journalEntry(id) {
+  return get(COLLECTION, id);
+}
+
+// Otro intento en curso (reciente): una reentrega no debe correr en paralelo
+export function inProgress(entry, now = new Date()) {
+  return entry.status === 'processing'
+    && now.getTime() - new Date(entry.lastAttemptAt).getTime() < STALE_MINUTES * 60e3;
+}
+
+export function startAttempt(entry, { by = 'stripe' } = {}) {
+  return update(COLLECTION, entry.id, {
+    status: 'processing',
+    attempts: (entry.attempts || 0) + 1,
+    lastAttemptAt: new Date().toISOString(),
+    lastAttemptBy: by,
+  });
+}
+
+// Terminó el handler (result.ok false = rechazo de negocio; no se reintenta)
+export function finishAttempt(id, result) {
+  return update(COLLECTION, id, {
+    status: 'processed',
+    outcome: result?.ok === false ? result.error || 'rejected' : 'ok',
+    result,
+    nextAttemptAt: null,
+    processedAt: new Date().toISOString(),
+  });
+}
+
+// Falló el handler: retrying con la siguiente espera si es transitorio y quedan, si no failed
+export function failAttempt(entry, err, now = new Date()) {
+  const wait = RETRY_MINUTES[(entry.attempts || 1) - 1];
+  const retry = isTransient(err) && wait !== undefined;
+  return update(COLLECTION, entry.id, {
+    status: retry ? 'retrying' : 'failed',
+    lastError: errorText(err),
+    nextAttemptAt: retry ? new Date(now.getTime() + wait * 60e3).toISOString() : null,
+  });
+}
+
+// Para el cron: reintentos vencidos y procesos que quedaron colgados
+export function dueRetries(now = new Date()) {
+  return list(COLLECTION, e =>
+    (e.status === 'retrying' && new Date(e.nextAttemptAt) <= now)
+    || (e.status === 'processing' && !inProgress(e, now)));
+}
+
+// Para el staff: sin payload, lo más nuevo primero
+export async function listJournal({ status, type, limit = 100 } = {}) {
+  return (await list(COLLECTION, e => (!status || e.status === status) && (!type || e.type === type)))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit)
+    .map(({ payload, ...e }) => e);
+}
@@ -0,0 +1,62 @@
+// /api/_mail.js
+// Envío de correo con transporte intercambiable. Quien llama arma { to, subject, text,
+// html, attachments:[{ filename, content, contentType }] } y no sabe cómo sale.
+//
+// ⚙️ Entorno:
+// - MAIL_TRANSPORT  smtp | file | console (default smtp si hay SMTP_URL; si no, console y
+//                   un error en el log: así no sale ningún correo)
+// - MAIL_FROM       remitente (default "Manna Snack Bars <bookings@mannasnackbars.com>")
+// - SMTP_URL        smtp(s)://user:pass@host:port (transporte smtp; usa nodemailer)
+// - MAIL_DIR        carpeta del transporte file (default /tmp/manna-mail), un .json por correo
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+const TRANSPORT = (process.env.MAIL_TRANSPORT || (process.env.SMTP_URL ? 'smtp' : 'console')).toLowerCase();
+if (!process.env.MAIL_TRANSPORT && TRANSPORT === 'console') {
+  console.error('[mail] neither MAIL_TRANSPORT nor SMTP_URL is set: emails are only logged, not sent');
+}
+const MAIL_FROM = process.env.MAIL_FROM || 'Manna Snack Bars <bookings@mannasnackbars.com>';
+const MAIL_DIR = process.env.MAIL_DIR || '/tmp/manna-mail';
+
+let smtp = null;
+async function smtpTransport() {
+  if (!smtp) {
+    if (!process.env.SMTP_URL) throw new Error('missing SMTP_URL');
+    const { default: nodemailer } = await import('nodemailer');
+    smtp = nodemailer.createTransport(process.env.SMTP_URL);
+  }
+  return smtp;
+}
+
+const TRANSPORTS = {
+  async smtp(msg) {
+    const info = await (await smtpTransport()).sendMail(msg);
+    return { id: info.messageId };
+  },
+  async file(msg) {
+    await fs.mkdir(MAIL_DIR, { recursive: true });
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.writeFile(path.join(MAIL_DIR, `${id}.json`), JSON.stringify(msg, null, 2));
+    return { id };
+  },
+  async console(msg) {
+    console.log('[mail]', msg.to, '—', msg.subject, msg.attachments?.length ? `(+${msg.attachments.length} adj.)` : '');
+    return { id: null };
+  },
+};
+
+// Devuelve { ok:true, id } o { ok:false, error }; nunca lanza (el correo no tumba una reserva)
+export async function sendMail({ to, subject, text, html, attachments = [] }) {
+  const send = TRANSPORTS[TRANSPORT];
+  if (!send) return { ok: false, error: `unknown MAIL_TRANSPORT "${TRANSPORT}"` };
+  if (!to) return { ok: false, error: 'missing recipient' };
+  try {
+    const { id } = await send({ from: MAIL_FROM, to, subject, text, html, attachments });
+    return { ok: true, id };
+  } catch (err) {
+    console.error('[mail] send failed', to, subject, err?.message || err);
+    return { ok: false, error: String(err?.message || err) };
+  }
+}
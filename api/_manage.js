@@ -0,0 +1,112 @@
+// /api/_manage.js
+// Autogestión del cliente: token firmado por reserva (va en la descripción del evento y
+// en la respuesta de create-event), carga de la reserva desde el token y política de
+// reembolso por días de anticipación.
+
+import { isHold } from './_rules.js';
+import { privateProps } from './_booking.js';
+import { signToken, verifyToken } from './_tokens.js';
+
+const MANAGE_URL = process.env.MANAGE_URL || 'https://mannasnackbars.com/manage';
+// Descarga .ics de la reserva con el mismo token (ver /api/booking/ics)
+const ICS_URL = process.env.BOOKING_ICS_URL || 'https://mannasnackbars.com/api/booking/ics';
+// Sin cambios del cliente dentro de las últimas N horas antes del evento
+export const MANAGE_CUTOFF_HOURS = Number(process.env.MANAGE_CUTOFF_HOURS || 48);
+// "días:porcentaje" de mayor a menor anticipación; default: 14+ días 100%, 7+ días 50%, luego 0%
+const REFUND_POLICY = process.env.REFUND_POLICY || '14:100,7:50,0:0';
+
+const TOKEN_TTL_MS = 365 * 24 * 3600e3;
+
+export function manageToken(eventId) {
+  return signToken('manage', { e: eventId }, Date.now() + TOKEN_TTL_MS);
+}
+
+export function manageLink(eventId) {
+  return `${MANAGE_URL}?token=${encodeURIComponent(manageToken(eventId))}`;
+}
+
+export function icsLink(eventId) {
+  return `${ICS_URL}?token=${encodeURIComponent(manageToken(eventId))}`;
+}
+
+/**
+ * Reserva apuntada por el token, aunque esté cancelada o fuera de plazo (para verla o
+ * descargarla). Devuelve { ev } o { status, error } (401 token inválido, 404 no existe).
+ */
+export async function bookingFromToken(repo, token) {
+  const payload = verifyToken(token, 'manage');
+  if (!payload?.e) return { status: 401, error: 'invalid_token' };
+
+  const ev = await repo.get(payload.e);
+  if (!ev || isHold(ev)) return { status: 404, error: 'booking_not_found' };
+  return { ev };
+}
+
+// Rechazo (409) si startISO cae dentro de las últimas MANAGE_CUTOFF_HOURS; null si no
+export function cutoffDenies(startISO, now = new Date()) {
+  if (new Date(startISO).getTime() - now.getTime() >= MANAGE_CUTOFF_HOURS * 3600e3) return null;
+  return { status: 409, error: 'too_late_to_change', detail: `Changes close ${MANAGE_CUTOFF_HOURS}h before the event.` };
+}
+
+/**
+ * Reserva viva apuntada por el token. Devuelve { ev } o { status, error } listo para
+ * responder (401 token inválido, 404 no existe/cancelada, 409 fuera de plazo).
+ */
+export async function loadManagedBooking(repo, token) {
+  const found = await bookingFromToken(repo, token);
+  if (!found.ev) return found;
+  const { ev } = found;
+  if (ev.status === 'cancelled') return { status: 404, error: 'booking_not_found' };
+
+  return cutoffDenies(ev.start?.dateTime || ev.start?.date) || { ev };
+}
+
+function refundTiers() {
+  return REFUND_POLICY.split(',')
+    .map(t => t.split(':').map(Number))
+    .filter(([days, pct]) => Number.isFinite(days) && Number.isFinite(pct))
+    .map(([days, pct]) => ({ days, pct }))
+    .sort((a, b) => b.days - a.days);
+}
+
+// Porcentaje reembolsable de lo pagado según los días que faltan para el evento
+export function refundPercent(startISO, now = new Date()) {
+  const daysBefore = (new Date(startISO).getTime() - now.getTime()) / (24 * 3600e3);
+  const tier = refundTiers().find(t => daysBefore >= t.days);
+  return tier ? tier.pct : 0;
+}
+
+// Lo cobrado por Stripe para la reserva, por PaymentIntent (balance primero)
+function payments(ev) {
+  const p = privateProps(ev);
+  const out = [];
+  if (p.balancePaymentIntent) out.push({ pi: p.balancePaymentIntent, amount: Number(p.balancePaid || 0) });
+  if (p.paymentIntent) out.push({ pi: p.paymentIntent, amount: Number(p.deposit || 0) });
+  return out.filter(x => x.amount > 0);
+}
+
+// Total cobrado (depósito + balance)
+export function paidAmount(ev) {
+  return payments(ev).reduce((sum, x) => sum + x.amount, 0);
+}
+
+export function refundableAmount(ev, pct) {
+  return Math.floor(paidAmount(ev) * pct / 100);
+}
+
+// Reembolsa pct% de lo pagado repartido entre los PaymentIntents; idempotente por evento
+export async function refundBooking(stripe, ev, pct) {
+  let remaining = refundableAmount(ev, pct);
+  const refunds = [];
+  for (const { pi, amount } of payments(ev)) {
+    if (remaining <= 0) break;
+    const part = Math.min(amount, remaining);
+    const refund = await stripe.refunds.create(
+      { payment_intent: pi, amount: part * 100, reason: 'requested_by_customer', metadata: { eventId: ev.id } },
+      { idempotencyKey: `cancel-${ev.id}-${pi}` }
+    );
+    refunds.push(refund.id);
+    remaining -= part;
+  }
+  return { amount: refundableAmount(ev, pct), refunds };
+}
@@ -0,0 +1,166 @@
+// /api/_pricing.js
+// Cotización del lado del servidor con los precios de _catalog.js. /api/quote,
+// create-checkout y create-event calculan los montos aquí; nunca se confía en
+// total/deposit del cliente.
+
+import { barLabel, pkgLabel } from './_rules.js';
+import {
+  CATALOG, PACKAGES, BARS, FOUNTAIN_SIZES, FOUNTAIN_TYPES, SECOND_BAR_RATE, barInfo,
+} from './_catalog.js';
+import { resolveVenue } from './_zones.js';
+import { findPromo, promoUses, evaluatePromo, normalizeCode } from './_promos.js';
+
+// Depósito mínimo: 30% del total, nunca menos de $100 (ni más que el total)
+const DEPOSIT_RATE = 0.3;
+const MIN_DEPOSIT = 100;
+
+function s(v, fb = '') {
+  return (typeof v === 'string' ? v : fb).trim();
+}
+function fail(error, detail) {
+  return { ok: false, error, detail };
+}
+
+// Campos del pedido para los esquemas de las rutas (_schema.js); quoteInput los normaliza
+export const ORDER_FIELDS = {
+  pkg:             { type: 'enum', values: PACKAGES, required: true },
+  mainBar:         { type: 'enum', values: BARS, required: true },
+  secondEnabled:   { type: 'boolean', default: false },
+  secondBar:       { type: 'enum', values: BARS },
+  secondSize:      { type: 'enum', values: PACKAGES },
+  fountainEnabled: { type: 'boolean', default: false },
+  fountainType:    { type: 'enum', values: FOUNTAIN_TYPES },
+  fountainSize:    { type: 'enum', values: FOUNTAIN_SIZES },
+  venue:           { type: 'string', max: 300 },
+  zip:             { type: 'string', pattern: /^\d{5}(-\d{4})?$/, message: 'must be a 5-digit ZIP code' },
+  promoCode:       { type: 'string', max: 40 },
+};
+
+// Normaliza lo que manda el front (body de POST o query de GET)
+export function quoteInput(src = {}) {
+  return {
+    pkg: s(src.pkg),
+    mainBar: s(src.mainBar),
+    secondEnabled: src.secondEnabled === true || src.secondEnabled === 'true',
+    secondBar: s(src.secondBar),
+    secondSize: s(src.secondSize),
+    fountainEnabled: src.fountainEnabled === true || src.fountainEnabled === 'true',
+    fountainType: s(src.fountainType),
+    fountainSize: s(src.fountainSize),
+    venue: s(src.venue),
+    zip: s(src.zip),
+    promoCode: normalizeCode(src.promoCode),
+  };
+}
+
+/**
+ * Cotización desglosada. Devuelve { ok:true, quote } con
+ * quote = { items:[{ code, label, amount }], total, deposit, balance, currency, travel, promo }
+ * o { ok:false, error, detail } si algún valor no está en el catálogo, el venue está
+ * fuera del área de servicio (ver _zones.js) o el promoCode no aplica (ver _promos.js).
+ * Sin venue no hay cargo de traslado, salvo con requireVenue (reservas), que lo exige.
+ * Es async porque el límite de usos del código se lee del store.
+ */
+export async function buildQuote(input, { requireVenue = false, now = new Date() } = {}) {
+  const q = input;
+  const items = [];
+
+  const main = barInfo(q.mainBar)?.prices;
+  if (!main) return fail('unknown_bar', `Unknown mainBar "${q.mainBar}".`);
+  if (!(q.pkg in main)) return fail('unknown_package', `Unknown pkg "${q.pkg}".`);
+  items.push({ code: 'main', label: `${barLabel(q.mainBar)} — ${pkgLabel(q.pkg)}`, amount: main[q.pkg] });
+
+  if (q.secondEnabled) {
+    const second = barInfo(q.secondBar)?.prices;
+    if (!second) return fail('unknown_bar', `Unknown secondBar "${q.secondBar}".`);
+    const size = q.secondSize || q.pkg;
+    if (!(size in second)) return fail('unknown_package', `Unknown secondSize "${size}".`);
+    items.push({
+      code: 'second',
+      label: `Second bar: ${barLabel(q.secondBar)} — ${pkgLabel(size)}`,
+      amount: Math.round(second[size] * SECOND_BAR_RATE),
+    });
+  }
+
+  if (q.fountainEnabled) {
+    // Fuente de chocolate: precio por personas + recargo por tipo de chocolate
+    const size = CATALOG.fountain?.sizes?.[q.fountainSize];
+    const type = CATALOG.fountain?.types?.[q.fountainType];
+    if (!size) return fail('unknown_fountain_size', `Unknown fountainSize "${q.fountainSize}".`);
+    if (!type) return fail('unknown_fountain_type', `Unknown fountainType "${q.fountainType}".`);
+    items.push({
+      code: 'fountain',
+      label: `Chocolate fountain: ${q.fountainType} — ${q.fountainSize} ppl`,
+      amount: size.price + type.surcharge,
+    });
+  }
+
+  // Descuento sobre barras y fuente (antes del traslado); renglón con monto negativo
+  let promo = null;
+  if (q.promoCode) {
+    const def = findPromo(q.promoCode);
+    const base = items.reduce((sum, it) => sum + it.amount, 0);
+    promo = evaluatePromo(def, q, { base, uses: def ? await promoUses(q.promoCode) : 0, now });
+    if (!promo.ok) return fail(promo.error, promo.detail);
+    if (promo.amount) items.push({ code: 'discount', label: promo.label, amount: -promo.amount });
+  }
+
+  const travel = resolveVenue(q);
+  if (!travel && requireVenue) return fail('venue_required', 'Venue address with ZIP code is required.');
+  if (travel && !travel.ok) return fail(travel.error, travel.detail);
+  if (travel?.fee) {
+    items.push({ code: 'travel', label: `Travel fee (${travel.zone})`, amount: travel.fee });
+  }
+
+  const total = items.reduce((sum, it) => sum + it.amount, 0);
+  const deposit = Math.min(total, Math.max(MIN_DEPOSIT, Math.round(total * DEPOSIT_RATE)));
+  return {
+    ok: true,
+    quote: {
+      items, total, deposit, balance: total - deposit, currency: 'usd',
+      travel: travel ? { zone: travel.zone, zip: travel.zip, bufferMinutes: travel.bufferMinutes } : null,
+      promo: promo ? { code: promo.code, discount: promo.amount } : null,
+    },
+  };
+}
+
+/**
+ * Reparte el monto a cobrar (depósito o total) entre los renglones cobrables de la
+ * cotización en proporción a su precio, en centavos; el descuento ya va prorrateado
+ * (Stripe no acepta renglones negativos). El último renglón absorbe el redondeo para
+ * que la suma sea exactamente amount. Devuelve [{ code, label, cents }].
+ */
+export function chargeLines(quote, amount) {
+  const charged = quote.items.filter(it => it.amount > 0);
+  const gross = charged.reduce((sum, it) => sum + it.amount, 0);
+  const totalCents = Math.round(amount * 100);
+  let left = totalCents;
+  return charged.map((it, i) => {
+    const cents = i === charged.length - 1
+      ? left
+      : Math.round((totalCents * it.amount) / gross);
+    left -= cents;
+    return { code: it.code, label: it.label, cents };
+  });
+}
+
+/**
+ * Compara lo que mandó el cliente contra la cotización. total debe coincidir (si viene);
+ * deposit puede ser mayor que el mínimo pero nunca menor ni mayor que el total.
+ * minDeposit baja el mínimo (p.ej. afiliados con skipDeposit).
+ * Devuelve { ok:true, total, deposit, balance } o { ok:false, error, detail }.
+ */
+export function reconcileAmounts(quote, body = {}, { minDeposit = quote.deposit } = {}) {
+  const has = v => v !== undefined && v !== null && v !== '';
+
+  if (has(body.total) && Math.round(Number(body.total)) !== quote.total) {
+    return fail('price_mismatch', `Total must be $${quote.total}.`);
+  }
+
+  const deposit = has(body.deposit) ? Math.round(Number(body.deposit)) : quote.deposit;
+  if (!Number.isFinite(deposit) || deposit < minDeposit || deposit > quote.total) {
+    return fail('deposit_out_of_range', `Deposit must be between $${minDeposit} and $${quote.total}.`);
+  }
+
+  return { ok: true, total: quote.total, deposit, balance: quote.total - deposit };
+}
@@ -0,0 +1,129 @@
+// /api/_promos.js
+// Códigos promocionales. Las definiciones viven en el entorno; los usos, en la colección
+// "promo_redemptions" (uno por reserva confirmada, más los apartados mientras el cliente
+// paga). _pricing.js los aplica en la cotización, así quote, create-checkout y create-event
+// ven el mismo descuento.
+//
+// ⚙️ Entorno: PROMO_CODES JSON, p.ej.
+//   [{"code":"SPRING10","type":"percent","value":10,"from":"2026-03-01","to":"2026-05-31",
+//     "maxUses":50,"packages":["150-250-5h"],"bars":["pancake"]}]
+// type percent|fixed; from/to = días locales (inclusivos) en que se puede usar el código;
+// packages/bars vacíos = sin restricción (bars se compara con la barra principal).
+// El descuento no aplica al cargo de traslado.
+
+import crypto from 'node:crypto';
+import { list, withCollection } from './_store.js';
+import { localYMD } from './_rules.js';
+
+const COLLECTION = 'promo_redemptions';
+
+function loadPromos() {
+  if (!process.env.PROMO_CODES) return [];
+  try {
+    const defs = JSON.parse(process.env.PROMO_CODES);
+    return Array.isArray(defs) ? defs.filter(p => p && p.code) : [];
+  } catch (err) {
+    console.error('[promos] invalid PROMO_CODES:', err?.message || err);
+    return [];
+  }
+}
+const PROMOS = loadPromos();
+
+export function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+export function findPromo(code) {
+  const c = normalizeCode(code);
+  return c ? PROMOS.find(p => normalizeCode(p.code) === c) || null : null;
+}
+
+// Cuenta para maxUses: un uso confirmado (los viejos no traen status) o uno apartado vigente
+const counts = (r, now) => r.status !== 'reserved' || new Date(r.expiresAt) > now;
+
+export async function promoUses(code, now = new Date()) {
+  const c = normalizeCode(code);
+  return (await list(COLLECTION, r => r.code === c && counts(r, now))).length;
+}
+
+const newRow = fields => {
+  const now = new Date().toISOString();
+  return { id: crypto.randomUUID(), createdAt: now, updatedAt: now, ...fields };
+};
+
+/**
+ * Valida el código para el pedido y calcula el descuento sobre base (monto descontable).
+ * Devuelve { ok:true, code, label, amount } o { ok:false, error, detail } con error en:
+ * promo_not_found, promo_not_active, promo_exhausted, promo_not_applicable.
+ */
+export function evaluatePromo(promo, order, { base, uses = 0, now = new Date() }) {
+  if (!promo) return { ok: false, error: 'promo_not_found', detail: 'Unknown promo code.' };
+  const code = normalizeCode(promo.code);
+  const today = localYMD(now);
+  if ((promo.from && today < promo.from) || (promo.to && today > promo.to)) {
+    return { ok: false, error: 'promo_not_active', detail: `${code} is not valid today.` };
+  }
+  if (promo.maxUses && uses >= Number(promo.maxUses)) {
+    return { ok: false, error: 'promo_exhausted', detail: `${code} has reached its usage limit.` };
+  }
+  if (promo.packages?.length && !promo.packages.includes(order.pkg)) {
+    return { ok: false, error: 'promo_not_applicable', detail: `${code} does not apply to this package.` };
+  }
+  if (promo.bars?.length && !promo.bars.includes(order.mainBar)) {
+    return { ok: false, error: 'promo_not_applicable', detail: `${code} does not apply to this bar.` };
+  }
+
+  const value = Number(promo.value || 0);
+  const raw = promo.type === 'percent' ? (base * value) / 100 : value;
+  const amount = Math.min(base, Math.round(raw));
+  const label = promo.type === 'percent' ? `Promo ${code} (−${value}%)` : `Promo ${code}`;
+  return { ok: true, code, label, amount };
+}
+
+/**
+ * Aparta un uso mientras se paga (key = holdId) o se escribe la reserva (key = eventId),
+ * verificando maxUses en la misma escritura: dos checkouts a la vez no pasan del límite.
+ * Vence solo en expiresAt; recordRedemption lo convierte en uso. Devuelve { ok:true } o
+ * { ok:false, error:'promo_exhausted', detail }.
+ */
+export function reservePromo(code, { key, expiresAt }, now = new Date()) {
+  const promo = findPromo(code);
+  if (!promo || !key) return Promise.resolve({ ok: true });
+  const c = normalizeCode(promo.code);
+  return withCollection(COLLECTION, docs => {
+    if (docs.some(r => r.key === key)) return { ok: true };
+    const used = docs.filter(r => r.code === c && counts(r, now)).length;
+    if (promo.maxUses && used >= Number(promo.maxUses)) {
+      return { ok: false, error: 'promo_exhausted', detail: `${c} has reached its usage limit.` };
+    }
+    docs.push(newRow({ code: c, key, status: 'reserved', expiresAt: new Date(expiresAt).toISOString() }));
+    return { ok: true };
+  });
+}
+
+// Suelta un uso apartado que no llegó a reserva (checkout fallido o vencido)
+export function releasePromo(key) {
+  if (!key) return Promise.resolve(false);
+  return withCollection(COLLECTION, docs => {
+    const i = docs.findIndex(r => r.key === key && r.status === 'reserved');
+    if (i >= 0) docs.splice(i, 1);
+    return i >= 0;
+  });
+}
+
+// Un uso por reserva (idempotente por eventId); key convierte el uso apartado
+export function recordRedemption(code, { eventId, source, key }) {
+  const c = normalizeCode(code);
+  if (!c || !eventId) return Promise.resolve(null);
+  return withCollection(COLLECTION, docs => {
+    const existing = docs.find(r => r.eventId === eventId);
+    if (existing) return existing;
+    const held = key && docs.find(r => r.key === key && r.status === 'reserved');
+    if (held) {
+      return Object.assign(held, { status: 'redeemed', eventId, source, expiresAt: '', updatedAt: new Date().toISOString() });
+    }
+    const row = newRow({ code: c, eventId, source, status: 'redeemed' });
+    docs.push(row);
+    return row;
+  });
+}
@@ -0,0 +1,215 @@
+// /api/_repo.js
+// Repositorio de reservas. Los handlers y helpers ya no hablan con Google Calendar
+// directamente sino con esta interfaz; los registros mantienen la forma de un evento de
+// Calendar ({ id, status, summary, start, end, extendedProperties.private, … }) para que
+// _rules.js y el resto no cambien.
+//
+//   listRange({ timeMin, timeMax, includeCancelled })  eventos que se cruzan con el rango
+//   findByProp(key, value, { limit })        eventos vivos con esa propiedad privada
+//   get(id)                                  evento (también cancelado) o null
+//   insert(ev, { sendUpdates })              crea; ev.id opcional
+//   patch(id, changes, { sendUpdates })      merge como el PATCH de Calendar
+//   remove(id, { sendUpdates })              true si lo borró, false si ya no estaba
+//   transaction(fn)                          serializa verificar-y-escribir, solo en el proceso
+//   history(id)                              cambios registrados (solo file)
+//
+// ⚙️ Entorno:
+// - BOOKING_STORE          google (default) | file
+// - BOOKING_CALENDAR_SYNC  con file: 1 = espejo en Google Calendar (invitaciones incluidas)
+// En modo file la fuente de verdad es la colección "bookings" de _store.js y el calendario
+// es solo una vista. transaction() es una cola en memoria: no bloquea nada entre
+// instancias ni en Calendar. Lo que evita dos reservas en el mismo hueco entre instancias
+// es verificar otra vez después de escribir y deshacer si no cabe (recheckWritten en
+// _rules.js: holds, create-event, el webhook sin hold, reprogramaciones).
+
+import crypto from 'node:crypto';
+import { getOAuthCalendar } from './_google.js';
+import { CAL_ID } from './_rules.js';
+import { list, withCollection } from './_store.js';
+
+const STORE = (process.env.BOOKING_STORE || 'google').toLowerCase();
+const CALENDAR_SYNC = process.env.BOOKING_CALENDAR_SYNC === '1';
+const COLLECTION = 'bookings';
+
+// Cola de verificar-y-escribir por proceso (separada de la de _store.js); ver arriba
+let txChain = Promise.resolve();
+function transaction(fn) {
+  const run = txChain.then(fn);
+  txChain = run.catch(() => {});
+  return run;
+}
+
+const statusOf = err => err?.response?.status || err?.code;
+
+// ---------- Google Calendar ----------
+
+function googleRepo(calendar) {
+  async function listAll(params) {
+    const items = [];
+    let pageToken;
+    do {
+      const rsp = await calendar.events.list({
+        calendarId: CAL_ID, singleEvents: true, orderBy: 'startTime', maxResults: 2500, pageToken, ...params,
+      });
+      items.push(...(rsp.data.items || []));
+      pageToken = rsp.data.nextPageToken;
+    } while (pageToken);
+    return items;
+  }
+
+  return {
+    kind: 'google',
+    listRange: ({ timeMin, timeMax, includeCancelled = false }) =>
+      listAll({ timeMin, timeMax, showDeleted: includeCancelled }),
+    async findByProp(key, value, { limit = 10 } = {}) {
+      const rsp = await calendar.events.list({
+        calendarId: CAL_ID, privateExtendedProperty: `${key}=${value}`, singleEvents: true, maxResults: limit,
+      });
+      return rsp.data.items || [];
+    },
+    async get(id) {
+      try {
+        return (await calendar.events.get({ calendarId: CAL_ID, eventId: id })).data;
+      } catch (err) {
+        if (statusOf(err) === 404 || statusOf(err) === 410) return null;
+        throw err;
+      }
+    },
+    async insert(ev, { sendUpdates = 'none' } = {}) {
+      return (await calendar.events.insert({ calendarId: CAL_ID, sendUpdates, requestBody: ev })).data;
+    },
+    async patch(id, changes, { sendUpdates = 'none' } = {}) {
+      return (await calendar.events.patch({ calendarId: CAL_ID, eventId: id, sendUpdates, requestBody: changes })).data;
+    },
+    async remove(id, { sendUpdates = 'none' } = {}) {
+      try {
+        await calendar.events.delete({ calendarId: CAL_ID, eventId: id, sendUpdates });
+        return true;
+      } catch (err) {
+        if (statusOf(err) === 404 || statusOf(err) === 410) return false;
+        throw err;
+      }
+    },
+    transaction,
+    history: async () => [],
+  };
+}
+
+// ---------- Archivo local (fuente de verdad) ----------
+
+const isObject = v => v && typeof v === 'object' && !Array.isArray(v);
+
+// Merge recursivo de objetos; arreglos y escalares se reemplazan (semántica de PATCH)
+function mergePatch(target, changes) {
+  for (const [k, v] of Object.entries(changes)) {
+    if (v === undefined) continue;
+    target[k] = isObject(v) && isObject(target[k]) ? mergePatch({ ...target[k] }, v) : v;
+  }
+  return target;
+}
+
+const timeOf = t => new Date(t?.dateTime || t?.date);
+const live = ev => ev.status !== 'cancelled';
+const publicDoc = ({ history, ...ev }) => ev;
+
+function fileRepo(mirror) {
+  // Espejo en Calendar: nunca hace fallar la escritura local
+  async function sync(action, ev, opts) {
+    if (!mirror) return;
+    try {
+      const google = await mirror();
+      if (action === 'remove') return void await google.remove(ev.id, opts);
+      const body = publicDoc(ev);
+      const exists = await google.get(ev.id);
+      if (exists) await google.patch(ev.id, body, opts);
+      else await google.insert(body, opts);
+    } catch (err) {
+      console.error('[repo] calendar sync failed', ev.id, err?.message || err);
+    }
+  }
+
+  const historyEntry = (action, ev, fields) => ({
+    at: new Date().toISOString(),
+    action,
+    status: ev.status,
+    bookingStatus: ev.extendedProperties?.private?.bookingStatus || '',
+    ...(fields ? { fields } : {}),
+  });
+
+  return {
+    kind: 'file',
+    async listRange({ timeMin, timeMax, includeCancelled = false }) {
+      const from = new Date(timeMin);
+      const to = new Date(timeMax);
+      return (await list(COLLECTION, ev => (includeCancelled || live(ev)) && timeOf(ev.end) > from && timeOf(ev.start) < to))
+        .sort((a, b) => timeOf(a.start) - timeOf(b.start))
+        .map(publicDoc);
+    },
+    async findByProp(key, value, { limit = 10 } = {}) {
+      return (await list(COLLECTION, ev => live(ev) && ev.extendedProperties?.private?.[key] === String(value)))
+        .slice(0, limit)
+        .map(publicDoc);
+    },
+    async get(id) {
+      const ev = (await list(COLLECTION, d => d.id === id))[0];
+      return ev ? publicDoc(ev) : null;
+    },
+    async insert(ev, opts = {}) {
+      const now = new Date().toISOString();
+      const row = await withCollection(COLLECTION, docs => {
+        const id = ev.id || crypto.randomBytes(16).toString('hex');
+        if (docs.some(d => d.id === id)) {
+          throw Object.assign(new Error(`booking ${id} already exists`), { status: 409 });
+        }
+        const doc = { status: 'confirmed', ...ev, id, created: now, updated: now, sequence: 0 };
+        doc.history = [historyEntry('created', doc)];
+        docs.push(doc);
+        return doc;
+      });
+      await sync('upsert', row, opts);
+      return publicDoc(row);
+    },
+    async patch(id, changes, opts = {}) {
+      const row = await withCollection(COLLECTION, docs => {
+        const doc = docs.find(d => d.id === id);
+        if (!doc) throw Object.assign(new Error(`booking ${id} not found`), { status: 404 });
+        mergePatch(doc, changes);
+        doc.updated = new Date().toISOString();
+        doc.sequence = (doc.sequence || 0) + 1;
+        doc.history = [...(doc.history || []), historyEntry('updated', doc, Object.keys(changes))];
+        return doc;
+      });
+      await sync('upsert', row, opts);
+      return publicDoc(row);
+    },
+    async remove(id, opts = {}) {
+      const removed = await withCollection(COLLECTION, docs => {
+        const i = docs.findIndex(d => d.id === id);
+        return i >= 0 ? docs.splice(i, 1)[0] : null;
+      });
+      if (removed) await sync('remove', removed, opts);
+      return !!removed;
+    },
+    transaction,
+    async history(id) {
+      return (await list(COLLECTION, d => d.id === id))[0]?.history || [];
+    },
+  };
+}
+
+let cached = null;
+
+// Repositorio según BOOKING_STORE (uno por proceso)
+export async function getBookingRepo() {
+  if (cached) return cached;
+  if (STORE === 'file') {
+    let google = null;
+    const mirror = CALENDAR_SYNC
+      ? async () => google || (google = googleRepo((await getOAuthCalendar()).calendar))
+      : null;
+    cached = fileRepo(mirror);
+  } else {
+    cached = googleRepo((await getOAuthCalendar()).calendar);
+  }
+  return cached;
+}
@@ -0,0 +1,89 @@
+// /api/_review.js
+// Pagos cobrados que el webhook no pudo convertir en evento (capacidad, horario,
+// metadata incompleta, error de Calendar). Quedan en la colección "reviews" con la
+// sesión, la metadata y el motivo para que el staff los vea en /api/admin/reviews;
+// con AUTO_REFUND_REJECTED=1 los rechazos de reglas se reembolsan solos.
+
+import { insert, list, update } from './_store.js';
+
+const COLLECTION = 'reviews';
+
+// Motivos que son decisión de reglas (no fallos transitorios) y admiten reembolso automático
+const REFUNDABLE_REASONS = new Set([
+  'outside_service_area',
+  'venue_unrecognized',
+  'blackout_date',
+  'outside_business_hours',
+  'unaligned_start',
+  'slot_in_past',
+  'within_lead_time',
+  'beyond_booking_horizon',
+  'capacity_day_limit',
+  'capacity_overlap_limit',
+  'equipment_unavailable',
+  'no_crew_available',
+]);
+
+export function listReviews({ status } = {}) {
+  return list(COLLECTION, r => !status || r.status === status);
+}
+
+export async function findReviewBySession(sessionId) {
+  return (await list(COLLECTION, r => r.sessionId === sessionId))[0] || null;
+}
+
+// Reembolso completo del PaymentIntent; idempotente por sesión
+export async function refundReview(stripe, review, { by = 'system', note = '' } = {}) {
+  if (review.status === 'refunded') return review;
+  if (!review.paymentIntent) throw new Error('review has no payment_intent to refund');
+  const refund = await stripe.refunds.create(
+    {
+      payment_intent: review.paymentIntent,
+      reason: 'requested_by_customer',
+      metadata: { sessionId: review.sessionId, rejectReason: review.reason },
+    },
+    { idempotencyKey: `refund-${review.sessionId}` }
+  );
+  return update(COLLECTION, review.id, {
+    status: 'refunded',
+    refundId: refund.id,
+    resolvedBy: by,
+    note: note || review.note || '',
+  });
+}
+
+export function resolveReview(review, { by, note = '' }) {
+  return update(COLLECTION, review.id, { status: 'resolved', resolvedBy: by, note });
+}
+
+/**
+ * Registra la sesión pagada sin evento (una sola vez por sesión) y, si está habilitado
+ * y el motivo lo permite, la reembolsa. Devuelve el registro de revisión.
+ */
+export async function recordRejectedPayment(stripe, session, { reason, detail }) {
+  const existing = await findReviewBySession(session.id);
+  let review = existing || await insert(COLLECTION, {
+    status: 'open',
+    sessionId: session.id,
+    paymentIntent: typeof session.payment_intent === 'string'
+      ? session.payment_intent
+      : session.payment_intent?.id || '',
+    amount: (session.amount_total || 0) / 100,
+    currency: session.currency || 'usd',
+    customerEmail: session.customer_details?.email || session.metadata?.email || '',
+    customerName: session.customer_details?.name || session.metadata?.fullName || '',
+    metadata: session.metadata || {},
+    reason,
+    detail: typeof detail === 'string' ? detail : JSON.stringify(detail),
+  });
+  console.error('[review] paid session without event', session.id, reason);
+
+  if (process.env.AUTO_REFUND_REJECTED === '1' && REFUNDABLE_REASONS.has(reason) && review.status === 'open') {
+    try {
+      review = await refundReview(stripe, review);
+    } catch (err) {
+      console.error('[review] auto-refund failed', session.id, err?.message || err);
+    }
+  }
+  return review;
+}
@@ -0,0 +1,387 @@
+// /api/_rules.js
+// Motor único de reglas de reserva. availability, create-event y el webhook de Stripe
+// preguntan aquí "¿se puede reservar este inicio para este paquete?", así un slot que
+// ofrece /api/availability es exactamente uno que los otros dos aceptan.
+
+import {
+  hoursFor, isBlackout, capacityFor, weekdayName, MIN_LEAD_HOURS, MAX_HORIZON_DAYS, SLOT_STEP_MINUTES,
+} from './_schedule.js';
+import { orderEquipment, eventEquipment, inventoryFor, countEquipment, equipmentLabel } from './_equipment.js';
+import { assignCrew, eventCrew } from './_staff.js';
+import { resolveVenue, eventTravelMinutes, MAX_TRAVEL_MINUTES } from './_zones.js';
+import { PACKAGES, packageInfo, barInfo, localized } from './_catalog.js';
+
+export const TZ = process.env.TIMEZONE || 'America/Los_Angeles';
+export const CAL_ID = process.env.CALENDAR_ID || process.env.GOOGLE_CALENDAR_ID || 'primary';
+
+// ---------- Reglas de negocio ----------
+// Horario por día, bloqueos, anticipación, horizonte y temporadas: ver _schedule.js
+// Paquetes, duraciones y etiquetas: ver _catalog.js
+export const MAX_PER_SLOT = 2; // máx eventos coincidentes en la ventana operativa (default)
+export const MAX_PER_DAY  = 3; // máx eventos por día local (default)
+export const HOLD_MINUTES = Math.max(30, Number(process.env.HOLD_MINUTES || 30)); // Stripe exige >= 30 min
+
+// Sin paquete (o uno que ya no está en el catálogo) se usan estas duraciones
+const DEFAULT_DURATIONS = { serviceHours: 2, prepMinutes: 60, cleanMinutes: 60 };
+
+// Servicio en vivo (horas) y prep/limpieza (minutos) del paquete
+export function pkgDurations(pkg) {
+  const p = packageInfo(pkg);
+  return p ? { serviceHours: p.serviceHours, prepMinutes: p.prepMinutes, cleanMinutes: p.cleanMinutes } : DEFAULT_DURATIONS;
+}
+
+// Horas de servicio en vivo por paquete (sin prep ni limpieza)
+export function hoursFromPkg(pkg) {
+  return pkgDurations(pkg).serviceHours;
+}
+export function pkgLabel(v, lang) {
+  return localized(packageInfo(v)?.label, lang) || v || '';
+}
+export function barLabel(v, lang) {
+  return localized(barInfo(v)?.label, lang) || v || 'Service';
+}
+
+// ---------- Fechas en TZ ----------
+const pad2 = n => String(n).padStart(2, '0');
+
+// Normaliza fechas a YYYY-MM-DD (acepta YYYY-MM-DD, MM/DD/YYYY, YYYY/MM/DD)
+export function toYMD(raw) {
+  const str = String(raw || '').trim();
+  if (!str) return null;
+
+  // YYYY-MM-DD
+  let m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(str);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+
+  // MM/DD/YYYY o YYYY/MM/DD
+  m = /^(\d{1,4})\/(\d{1,2})\/(\d{1,4})$/.exec(str);
+  if (m) {
+    let y, mo, d;
+    if (m[1].length === 4) {        // YYYY/MM/DD
+      y = +m[1]; mo = +m[2]; d = +m[3];
+    } else {                         // MM/DD/YYYY
+      y = +m[3]; mo = +m[1]; d = +m[2];
+    }
+    if (y>=1900 && mo>=1 && mo<=12 && d>=1 && d<=31) {
+      return `${y}-${pad2(mo)}-${pad2(d)}`;
+    }
+  }
+
+  // Fallback: parse y re-formatea en TZ
+  const dt = new Date(str);
+  if (!isNaN(dt)) return localYMD(dt);
+  return null;
+}
+
+// Fecha local YYYY-MM-DD en TZ para un instante
+export function localYMD(iso, tz = TZ) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit'
+  }).formatToParts(new Date(iso));
+  const y = parts.find(p => p.type === 'year')?.value;
+  const mo = parts.find(p => p.type === 'month')?.value;
+  const d = parts.find(p => p.type === 'day')?.value;
+  return y && mo && d ? `${y}-${mo}-${d}` : null;
+}
+
+// Hora local (0–23) en TZ para un ISO
+export function localHour(iso, tz = TZ) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: tz, hour: '2-digit', hour12: false })
+    .formatToParts(new Date(iso));
+  return Number(parts.find(p => p.type === 'hour')?.value || '0') % 24;
+}
+
+// Minutos desde la medianoche local (0–1439) en TZ para un ISO
+export function localMinutes(iso, tz = TZ) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: tz, hour: '2-digit', minute: '2-digit', hour12: false })
+    .formatToParts(new Date(iso));
+  const part = type => Number(parts.find(p => p.type === type)?.value || '0');
+  return (part('hour') % 24) * 60 + part('minute');
+}
+
+// 570 → "09:30"
+export function hhmm(minutes) {
+  return `${pad2(Math.floor(minutes / 60))}:${pad2(Math.round(minutes % 60))}`;
+}
+
+// Offset de TZ en un instante (p.ej. −07:00/−08:00 en LA)
+function tzOffsetAt(date, tz = TZ) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: tz, timeZoneName: 'longOffset' })
+    .formatToParts(date);
+  const name = parts.find(p => p.type === 'timeZoneName')?.value || '';
+  const m = /GMT([+-]\d{2}):?(\d{2})?/.exec(name);
+  return m ? `${m[1]}:${m[2] || '00'}` : '+00:00';
+}
+
+// Offset DST-seguro de TZ para un día (el de mediodía)
+export function tzOffsetForYMD(ymd, tz = TZ) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  return tzOffsetAt(new Date(Date.UTC(y, m - 1, d, 12, 0, 0)), tz);
+}
+
+export function isoAt(ymd, hour, minute = 0) {
+  return `${ymd}T${pad2(hour)}:${pad2(minute)}:00${tzOffsetForYMD(ymd)}`;
+}
+
+// Instante → ISO en hora local con su offset (p.ej. 2026-11-14T16:30:00-08:00)
+export function localISO(date, tz = TZ) {
+  const d = new Date(date);
+  return `${localYMD(d, tz)}T${hhmm(localMinutes(d, tz))}:00${tzOffsetAt(d, tz)}`;
+}
+
+export function addDaysYMD(ymd, days) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d + days));
+  return `${dt.getUTCFullYear()}-${pad2(dt.getUTCMonth() + 1)}-${pad2(dt.getUTCDate())}`;
+}
+
+// Rango de día local [00:00, 24:00) en TZ
+export function dayRange(ymd) {
+  return { dayStartISO: isoAt(ymd, 0), dayEndISO: isoAt(addDaysYMD(ymd, 1), 0) };
+}
+
+// ---------- Ventanas y solapes ----------
+
+// Ventana operativa completa (traslado + prep + servicio + limpieza + traslado)
+export function operationalWindow(startISO, pkg, travelMinutes = 0) {
+  const { serviceHours: liveHours, prepMinutes, cleanMinutes } = pkgDurations(pkg);
+  const start = new Date(startISO);
+  const serviceEnd = new Date(start.getTime() + liveHours * 3600e3);
+  return {
+    liveHours,
+    prepMinutes,
+    cleanMinutes,
+    travelMinutes,
+    opStart: new Date(start.getTime() - (prepMinutes + travelMinutes) * 60e3),
+    opEnd: new Date(serviceEnd.getTime() + (cleanMinutes + travelMinutes) * 60e3),
+    serviceEnd,
+  };
+}
+
+// Un hold (reserva temporal durante el checkout) deja de contar al vencer,
+// aunque nunca llegue el checkout.session.expired de Stripe
+export function isHold(e) {
+  return e?.extendedProperties?.private?.kind === 'hold';
+}
+function isExpiredHold(e, now) {
+  const until = e?.extendedProperties?.private?.holdExpiresAt;
+  return isHold(e) && !!until && new Date(until) <= now;
+}
+
+// Eventos de Calendar que ocupan capacidad, como { start, end, event }
+export function activeEvents(items, now = new Date()) {
+  return (items || [])
+    .filter(e => e.status !== 'cancelled' && !isExpiredHold(e, now))
+    .map(e => ({
+      start: new Date(e.start?.dateTime || e.start?.date),
+      end:   new Date(e.end?.dateTime   || e.end?.date),
+      event: e,
+    }))
+    .filter(e => !isNaN(e.start) && !isNaN(e.end));
+}
+
+const overlaps = (ev, from, to) => !(ev.end <= from || ev.start >= to);
+
+// Servicio de un evento existente más su traslado de ida y vuelta
+const travelSpan = ev => {
+  const ms = eventTravelMinutes(ev.event) * 60e3;
+  return { start: new Date(ev.start.getTime() - ms), end: new Date(ev.end.getTime() + ms) };
+};
+
+// Ventana operativa de un evento existente (su equipo y crew están ocupados en traslado,
+// prep y limpieza, según su paquete)
+const eventOpWindow = ev => {
+  const span = travelSpan(ev);
+  const { prepMinutes, cleanMinutes } = pkgDurations(ev.event?.extendedProperties?.private?.pkg);
+  return {
+    start: new Date(span.start.getTime() - prepMinutes * 60e3),
+    end: new Date(span.end.getTime() + cleanMinutes * 60e3),
+  };
+};
+
+// Motivos de rechazo que significan "lleno" (vs. cerrado por horario/fecha)
+export const CAPACITY_REASONS = new Set([
+  'capacity_day_limit',
+  'capacity_overlap_limit',
+  'equipment_unavailable',
+  'no_crew_available',
+]);
+
+// ---------- Motor ----------
+function deny(reason, detail) {
+  return { ok: false, reason, detail };
+}
+
+/**
+ * Decide si startISO se puede reservar para pkg dado el listado de eventos del día
+ * (el de listEventsForDay). order ({ mainBar, secondEnabled, secondBar, fountainEnabled,
+ * fountainType, venue, zip }) es el pedido, para validar el equipo libre y sumar el
+ * traslado de la zona del venue a la ventana operativa. crewIds valida un crew ya
+ * apartado (p.ej. el del hold) en vez de elegir uno. ignoreEventId excluye un evento propio (p.ej. el hold que
+ * se está convirtiendo). requestedAt es cuándo eligió el cliente el horario (p.ej. al
+ * abrir el checkout) y rige las reglas de fecha; por defecto, now.
+ * Devuelve { ok:true, window, crew } o { ok:false, reason, detail } con reason en:
+ * invalid_start, outside_service_area, venue_unrecognized, blackout_date, outside_business_hours,
+ * unaligned_start (fuera de la rejilla de SLOT_STEP_MINUTES), slot_in_past, within_lead_time,
+ * beyond_booking_horizon, capacity_day_limit, capacity_overlap_limit, equipment_unavailable,
+ * no_crew_available.
+ */
+export function evaluateSlot({ startISO, pkg, order, events, now = new Date(), requestedAt, ignoreEventId, crewIds }) {
+  const start = new Date(startISO);
+  if (!startISO || isNaN(start)) return deny('invalid_start', 'startISO is not a valid date.');
+  const ymd = localYMD(startISO);
+  const asOf = requestedAt ? new Date(requestedAt) : now;
+
+  const travel = resolveVenue(order || {});
+  if (travel && !travel.ok) return deny(travel.error, travel.detail);
+
+  if (isBlackout(ymd)) return deny('blackout_date', `${ymd} is not available for bookings.`);
+
+  const hours = hoursFor(ymd);
+  if (!hours) return deny('outside_business_hours', `Closed on ${weekdayName(ymd)}.`);
+  const mins = localMinutes(startISO);
+  if (mins < hours.start * 60 || mins >= hours.end * 60) {
+    return deny('outside_business_hours',
+      `Starts run from ${hhmm(hours.start * 60)} until before ${hhmm(hours.end * 60)} ${TZ}; got ${hhmm(mins)}.`);
+  }
+  if (mins % SLOT_STEP_MINUTES || start.getUTCSeconds() || start.getUTCMilliseconds()) {
+    return deny('unaligned_start', `Start times go every ${SLOT_STEP_MINUTES} minutes (${hhmm(mins)} is not one).`);
+  }
+
+  if (start < asOf) return deny('slot_in_past', 'Start time already passed.');
+  if (start.getTime() - asOf.getTime() < MIN_LEAD_HOURS * 3600e3) {
+    return deny('within_lead_time', `Bookings need at least ${MIN_LEAD_HOURS}h notice.`);
+  }
+  if (start.getTime() - asOf.getTime() > MAX_HORIZON_DAYS * 24 * 3600e3) {
+    return deny('beyond_booking_horizon', `Bookings open up to ${MAX_HORIZON_DAYS} days ahead.`);
+  }
+
+  const busy = activeEvents(events, now).filter(ev => !ignoreEventId || ev.event.id !== ignoreEventId);
+  const { maxPerDay, maxPerSlot } = capacityFor(ymd, { maxPerDay: MAX_PER_DAY, maxPerSlot: MAX_PER_SLOT });
+
+  const { dayStartISO, dayEndISO } = dayRange(ymd);
+  const dayEvents = busy.filter(ev => overlaps(ev, new Date(dayStartISO), new Date(dayEndISO)));
+  if (dayEvents.length >= maxPerDay) {
+    return deny('capacity_day_limit', `Max ${maxPerDay} events per day reached.`);
+  }
+
+  const window = operationalWindow(startISO, pkg, travel?.bufferMinutes || 0);
+  const overlapping = busy.filter(ev => overlaps(travelSpan(ev), window.opStart, window.opEnd)).length;
+  if (overlapping >= maxPerSlot) {
+    const legs = window.travelMinutes ? `travel ${window.travelMinutes}m+` : '';
+    return deny('capacity_overlap_limit',
+      `Max ${maxPerSlot} concurrent events in operational window (${legs}prep+${window.liveHours}h+clean).`);
+  }
+
+  // Equipo específico (carrito de cada barra, fuente) libre en la ventana operativa
+  const concurrent = busy.filter(ev => overlaps(eventOpWindow(ev), window.opStart, window.opEnd));
+  for (const [key, need] of Object.entries(countEquipment(orderEquipment(order)))) {
+    const limit = inventoryFor(key);
+    if (!Number.isFinite(limit)) continue;
+    const inUse = concurrent.reduce((n, ev) => n + eventEquipment(ev.event).filter(k => k === key).length, 0);
+    if (inUse + need > limit) {
+      return deny('equipment_unavailable', `No ${equipmentLabel(key)} free in the operational window.`);
+    }
+  }
+
+  // Crew libre (roster de _staff.js) durante la ventana operativa
+  const crew = assignCrew({
+    ymd, pkg, order, crewIds,
+    concurrent: concurrent.map(ev => ev.event),
+    dayEvents: dayEvents.map(ev => ev.event),
+  });
+  if (!crew.ok) {
+    return deny('no_crew_available', crew.taken
+      ? 'Assigned crew is no longer free in the operational window.'
+      : `Need ${crew.needed} crew, ${crew.free} free in the operational window.`);
+  }
+
+  return { ok: true, reason: null, window, crew: crew.crew };
+}
+
+/**
+ * Evalúa todos los inicios candidatos de un día local (cada SLOT_STEP_MINUTES dentro del
+ * horario). Cada slot trae su inicio, el fin del servicio y la ventana operativa (con
+ * traslado, prep y limpieza). status resume el día para los calendarios del front:
+ * open (todo libre), limited (algo ocupado), full (nada por capacidad) o closed (nada
+ * por horario/fecha pasada). rejected es { "HH:MM": reason }.
+ */
+export function slotsForDay({ ymd, pkg, order, events, now = new Date() }) {
+  const slots = [];
+  const rejected = {};
+  const hours = isBlackout(ymd) ? null : hoursFor(ymd);
+  const first = Math.ceil(((hours?.start ?? 0) * 60) / SLOT_STEP_MINUTES) * SLOT_STEP_MINUTES;
+  for (let m = first; m < (hours?.end ?? 0) * 60; m += SLOT_STEP_MINUTES) {
+    const hour = Math.floor(m / 60);
+    const minute = m % 60;
+    const startISO = isoAt(ymd, hour, minute);
+    const verdict = evaluateSlot({ startISO, pkg, order, events, now });
+    if (!verdict.ok) {
+      rejected[hhmm(m)] = verdict.reason;
+      continue;
+    }
+    const { window } = verdict;
+    slots.push({
+      hour,
+      minute,
+      time: hhmm(m),
+      startISO,
+      endISO: localISO(window.serviceEnd),
+      window: {
+        startISO: localISO(window.opStart),
+        endISO: localISO(window.opEnd),
+        prepMinutes: window.prepMinutes,
+        cleanMinutes: window.cleanMinutes,
+        travelMinutes: window.travelMinutes,
+      },
+    });
+  }
+  const capacityHits = Object.values(rejected).filter(r => CAPACITY_REASONS.has(r)).length;
+  let status;
+  if (!slots.length) status = capacityHits ? 'full' : 'closed';
+  else status = capacityHits ? 'limited' : 'open';
+  return { slots, rejected, status };
+}
+
+// Reservas de los días locales [fromYMD, toYMD] más el margen para ventanas que cruzan
+// medianoche (con traslado de ambos lados), en una sola consulta al repositorio
+export function listEventsForRange(repo, fromYMD, toYMD) {
+  const { dayStartISO } = dayRange(fromYMD);
+  const { dayEndISO } = dayRange(toYMD);
+  const all = [DEFAULT_DURATIONS, ...PACKAGES.map(pkgDurations)];
+  const maxOf = k => Math.max(...all.map(d => d[k]));
+  const travelMin = 2 * MAX_TRAVEL_MINUTES;
+  return repo.listRange({
+    timeMin: new Date(new Date(dayStartISO).getTime() - (maxOf('prepMinutes') + travelMin) * 60e3).toISOString(),
+    timeMax: new Date(new Date(dayEndISO).getTime()
+      + (maxOf('serviceHours') * 60 + maxOf('cleanMinutes') + travelMin) * 60e3).toISOString(),
+  });
+}
+
+export function listEventsForDay(repo, ymd) {
+  return listEventsForRange(repo, ymd, ymd);
+}
+
+// Atajo para create-event y webhook: lista el día y evalúa
+export async function checkSlot(repo, { startISO, pkg, order, now, requestedAt, ignoreEventId, crewIds }) {
+  const start = new Date(startISO);
+  if (!startISO || isNaN(start)) return deny('invalid_start', 'startISO is not a valid date.');
+  const events = await listEventsForDay(repo, localYMD(startISO));
+  return evaluateSlot({ startISO, pkg, order, events, now, requestedAt, ignoreEventId, crewIds });
+}
+
+/**
+ * Segunda verificación, ya escrito el evento. repo.transaction() solo serializa dentro del
+ * proceso: otra instancia pudo ocupar el hueco entre el checkSlot y la escritura. Se vuelve
+ * a evaluar el evento guardado sin contarse a sí mismo (con su crew); si ya no cabe se
+ * llama undo() y se devuelve el rechazo, o null si sigue valiendo. Dos escrituras que se
+ * cruzan pueden rechazarse las dos, pero nunca quedan ambas.
+ */
+export async function recheckWritten(repo, ev, { startISO, pkg, order, requestedAt }, undo) {
+  const verdict = await checkSlot(repo, {
+    startISO, pkg, order, requestedAt, ignoreEventId: ev.id, crewIds: eventCrew(ev),
+  });
+  if (verdict.ok) return null;
+  await undo();
+  return verdict;
+}
@@ -0,0 +1,98 @@
+// /api/_schedule.js
+// Calendario de negocio configurable por entorno; _rules.js lo aplica igual en
+// availability, create-event y el webhook.
+//
+// ⚙️ Entorno (todo opcional):
+// - BUSINESS_HOURS     JSON por día: {"mon":[9,22],"sat":["09:30","21:30"],...,"sun":null};
+//                      null = cerrado. Default 9–22 diario (inicios desde la primera hora y
+//                      antes de la segunda)
+// - SLOT_STEP_MINUTES  cada cuántos minutos hay un inicio: 15, 30 o 60 (default 60), contados
+//                      desde la medianoche local
+// - BLACKOUT_DATES     "2026-12-25,2026-12-31..2027-01-01" (fechas locales o rangos inclusivos)
+// - MIN_LEAD_HOURS     horas mínimas entre la reserva y el inicio (default 0)
+// - MAX_HORIZON_DAYS   días máximos hacia adelante (default 365)
+// - SEASONAL_CAPACITY  JSON [{"from":"12-01","to":"12-31","maxPerDay":4,"maxPerSlot":3}]
+//                      from/to como MM-DD (cada año) o YYYY-MM-DD
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DEFAULT_HOURS = { start: 9, end: 22 }; // inicios permitidos 09:00..21:59
+const SLOT_STEPS = [15, 30, 60];
+
+function parseJSON(raw, fallback, name) {
+  if (!raw) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    console.error(`[schedule] invalid ${name}:`, err?.message || err);
+    return fallback;
+  }
+}
+
+const BUSINESS_HOURS = parseJSON(process.env.BUSINESS_HOURS, {}, 'BUSINESS_HOURS');
+const SEASONAL_CAPACITY = parseJSON(process.env.SEASONAL_CAPACITY, [], 'SEASONAL_CAPACITY');
+const BLACKOUTS = String(process.env.BLACKOUT_DATES || '')
+  .split(',')
+  .map(x => x.trim())
+  .filter(Boolean)
+  .map(x => {
+    const [from, to] = x.split('..');
+    return { from, to: to || from };
+  });
+
+export const MIN_LEAD_HOURS = Number(process.env.MIN_LEAD_HOURS || 0);
+export const MAX_HORIZON_DAYS = Number(process.env.MAX_HORIZON_DAYS || 365);
+
+function loadStep() {
+  const raw = process.env.SLOT_STEP_MINUTES;
+  if (!raw) return 60;
+  if (SLOT_STEPS.includes(Number(raw))) return Number(raw);
+  console.error(`[schedule] invalid SLOT_STEP_MINUTES: ${raw} (use ${SLOT_STEPS.join(', ')})`);
+  return 60;
+}
+export const SLOT_STEP_MINUTES = loadStep();
+
+const weekdayOf = ymd => {
+  const [y, m, d] = ymd.split('-').map(Number);
+  return WEEKDAYS[new Date(Date.UTC(y, m - 1, d)).getUTCDay()];
+};
+
+// 9, 9.5 o "09:30" → horas (9.5)
+function toHours(v) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(v).trim());
+  return m ? Number(m[1]) + Number(m[2]) / 60 : Number(v);
+}
+
+// Horario de inicios del día { start, end } en horas (end exclusivo) o null si está cerrado
+export function hoursFor(ymd) {
+  const day = weekdayOf(ymd);
+  if (!(day in BUSINESS_HOURS)) return DEFAULT_HOURS;
+  const cfg = BUSINESS_HOURS[day];
+  if (!Array.isArray(cfg) || cfg.length !== 2) return null;
+  return { start: toHours(cfg[0]), end: toHours(cfg[1]) };
+}
+
+export function isBlackout(ymd) {
+  return BLACKOUTS.some(b => ymd >= b.from && ymd <= b.to);
+}
+
+// MM-DD se compara dentro del año; YYYY-MM-DD como fecha completa. Soporta rangos que
+// cruzan año nuevo ("12-15".."01-05").
+function inSeason(ymd, { from, to }) {
+  if (!from || !to) return false;
+  if (from.length === 10) return ymd >= from && ymd <= to;
+  const md = ymd.slice(5);
+  return from <= to ? md >= from && md <= to : md >= from || md <= to;
+}
+
+// Límites de capacidad del día (temporada si aplica; si no, los defaults)
+export function capacityFor(ymd, defaults) {
+  const season = (Array.isArray(SEASONAL_CAPACITY) ? SEASONAL_CAPACITY : []).find(x => inSeason(ymd, x));
+  return {
+    maxPerDay: Number(season?.maxPerDay ?? defaults.maxPerDay),
+    maxPerSlot: Number(season?.maxPerSlot ?? defaults.maxPerSlot),
+  };
+}
+
+export function weekdayName(ymd) {
+  return weekdayOf(ymd);
+}
@@ -0,0 +1,109 @@
+// /api/_schema.js
+// Validación declarativa de la entrada de cada ruta. Un esquema es { campo: regla } con
+// regla = { type, required, default, ...opciones del tipo }. validate() revisa todos los
+// campos a la vez y devuelve { ok:true, value } (solo los campos declarados, ya
+// normalizados) o { ok:false, fields: { campo: { code, message } } }.
+//
+// Tipos y opciones:
+// - string    max, truncate (recorta en vez de fallar), pattern + message
+// - email
+// - enum      values (arreglo o función que lo devuelve)
+// - ymd       fecha YYYY-MM-DD o MM/DD/YYYY → YYYY-MM-DD
+// - datetime  ISO 8601 con zona (Z o ±hh:mm)
+// - number    min, max, integer
+// - boolean   true/false, "true"/"false", "1"/"0"
+// - object    schema (anidado; los errores salen como "padre.campo")
+// - list      lista separada por comas (o arreglo) de values permitidos → arreglo
+
+import { toYMD } from './_rules.js';
+import { sendError } from './_errors.js';
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const DATETIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+const bad = (code, message) => ({ error: { code, message } });
+const good = value => ({ value });
+const valuesOf = rule => (typeof rule.values === 'function' ? rule.values() : rule.values);
+
+const TYPES = {
+  string(v, rule) {
+    if (typeof v !== 'string' && typeof v !== 'number') return bad('invalid_type', 'must be text');
+    let str = String(v).trim();
+    if (rule.max && str.length > rule.max) {
+      if (!rule.truncate) return bad('too_long', `must be at most ${rule.max} characters`);
+      str = str.slice(0, rule.max);
+    }
+    if (rule.pattern && !rule.pattern.test(str)) return bad('invalid_format', rule.message || 'has an invalid format');
+    return good(str);
+  },
+  email(v) {
+    const str = typeof v === 'string' ? v.trim() : '';
+    return EMAIL_RE.test(str) && str.length <= 254 ? good(str) : bad('invalid_email', 'must be an email address');
+  },
+  enum(v, rule) {
+    const str = String(v).trim();
+    const values = valuesOf(rule);
+    return values.includes(str) ? good(str) : bad('not_allowed', `must be one of: ${values.join(', ')}`);
+  },
+  ymd(v) {
+    const ymd = typeof v === 'string' ? toYMD(v) : null;
+    return ymd ? good(ymd) : bad('invalid_date', 'must be a date (YYYY-MM-DD or MM/DD/YYYY)');
+  },
+  datetime(v) {
+    const str = typeof v === 'string' ? v.trim() : '';
+    return DATETIME_RE.test(str) && !isNaN(new Date(str))
+      ? good(str)
+      : bad('invalid_datetime', 'must be an ISO date-time with a time zone (e.g. 2026-11-14T14:00:00-08:00)');
+  },
+  number(v, rule) {
+    const n = typeof v === 'number' ? v : (typeof v === 'string' && v.trim() ? Number(v) : NaN);
+    if (!Number.isFinite(n)) return bad('invalid_number', 'must be a number');
+    if (rule.integer && !Number.isInteger(n)) return bad('invalid_number', 'must be a whole number');
+    if (rule.min !== undefined && n < rule.min) return bad('too_small', `must be at least ${rule.min}`);
+    if (rule.max !== undefined && n > rule.max) return bad('too_large', `must be at most ${rule.max}`);
+    return good(n);
+  },
+  boolean(v) {
+    if (v === true || v === 'true' || v === '1' || v === 1) return good(true);
+    if (v === false || v === 'false' || v === '0' || v === 0) return good(false);
+    return bad('invalid_type', 'must be true or false');
+  },
+  object(v, rule, path) {
+    if (!v || typeof v !== 'object' || Array.isArray(v)) return bad('invalid_type', 'must be an object');
+    return validate(rule.schema, v, `${path}.`);
+  },
+  list(v, rule) {
+    const items = (Array.isArray(v) ? v : String(v).split(',')).map(x => String(x).trim()).filter(Boolean);
+    const values = rule.values ? valuesOf(rule) : null;
+    const wrong = values ? items.filter(x => !values.includes(x)) : [];
+    return wrong.length ? bad('not_allowed', `${wrong.join(', ')} not in: ${values.join(', ')}`) : good(items);
+  },
+};
+
+const isEmpty = v => v === undefined || v === null || (typeof v === 'string' && !v.trim());
+
+export function validate(schema, src = {}, prefix = '') {
+  const value = {};
+  const fields = {};
+  for (const [name, rule] of Object.entries(schema)) {
+    const raw = src?.[name];
+    if (isEmpty(raw)) {
+      if (rule.required) fields[prefix + name] = { code: 'required', message: 'is required' };
+      else if (rule.default !== undefined) value[name] = rule.default;
+      continue;
+    }
+    const out = TYPES[rule.type](raw, rule, prefix + name);
+    if (out.fields) Object.assign(fields, out.fields);
+    else if (out.error) fields[prefix + name] = out.error;
+    else value[name] = out.value;
+  }
+  return Object.keys(fields).length ? { ok: false, fields } : { ok: true, value };
+}
+
+// Valida y devuelve los valores; si algo falla responde invalid_request y devuelve null
+export function parseInput(res, schema, src) {
+  const result = validate(schema, src || {});
+  if (result.ok) return result.value;
+  sendError(res, 'invalid_request', { fields: result.fields });
+  return null;
+}
@@ -0,0 +1,93 @@
+// /api/_staff.js
+// Roster del staff y asignación de crew. Cada evento guarda su crew en
+// extendedProperties.private.crew ("id1,id2"); _rules.js rechaza un inicio si no hay
+// suficientes personas libres durante su ventana operativa.
+//
+// ⚙️ Entorno:
+// - STAFF_ROSTER JSON [{"id":"ana","name":"Ana","email":"ana@…","days":["fri","sat","sun"],
+//                      "unavailable":["2026-12-24"]}]; sin roster no se asigna crew
+// - CREW_SIZE    JSON por paquete {"50-150-5h":1,"150-250-5h":2,"250-350-6h":3}
+//                (+1 por segunda barra, +1 por fuente); default: "crew" de cada
+//                paquete en _catalog.js
+
+import { weekdayName } from './_schedule.js';
+import { CATALOG } from './_catalog.js';
+
+const DEFAULT_CREW_SIZE = Object.fromEntries(
+  Object.entries(CATALOG.packages).map(([pkg, p]) => [pkg, p.crew ?? 1]),
+);
+
+function parseJSON(raw, fallback, name) {
+  if (!raw) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    console.error(`[staff] invalid ${name}:`, err?.message || err);
+    return fallback;
+  }
+}
+
+const ROSTER = parseJSON(process.env.STAFF_ROSTER, [], 'STAFF_ROSTER').filter(p => p && p.id);
+const CREW_SIZE = parseJSON(process.env.CREW_SIZE, DEFAULT_CREW_SIZE, 'CREW_SIZE');
+
+const flag = v => v === true || v === 'true';
+
+export function hasRoster() {
+  return ROSTER.length > 0;
+}
+
+export function crewNeeded(pkg, order = {}) {
+  let n = Number(CREW_SIZE[pkg] ?? 1);
+  if (flag(order.secondEnabled)) n += 1;
+  if (flag(order.fountainEnabled)) n += 1;
+  return n;
+}
+
+// Ids del crew asignado a un evento existente
+export function eventCrew(ev) {
+  return String(ev?.extendedProperties?.private?.crew || '').split(',').map(x => x.trim()).filter(Boolean);
+}
+
+export function staffByIds(ids) {
+  return ids.map(id => ROSTER.find(p => p.id === id)).filter(Boolean);
+}
+
+function onDuty(person, ymd) {
+  const days = Array.isArray(person.days) ? person.days : null;
+  if (days && !days.includes(weekdayName(ymd))) return false;
+  return !(person.unavailable || []).includes(ymd);
+}
+
+/**
+ * Crew para un inicio: con crewIds valida que esas personas sigan libres; si no, elige
+ * entre las que trabajan ese día y no están en eventos concurrentes, priorizando a
+ * quien tiene menos eventos ese día. concurrent y dayEvents son eventos de Calendar.
+ * Devuelve { ok:true, crew:[persona] } o { ok:false, needed, free, taken? }.
+ */
+export function assignCrew({ ymd, pkg, order, concurrent, dayEvents, crewIds }) {
+  if (!hasRoster()) return { ok: true, crew: [] };
+
+  const needed = crewNeeded(pkg, order);
+  const busy = new Set(concurrent.flatMap(eventCrew));
+  const free = ROSTER.filter(p => onDuty(p, ymd) && !busy.has(p.id));
+
+  if (crewIds?.length) {
+    const crew = free.filter(p => crewIds.includes(p.id));
+    return crew.length === crewIds.length ? { ok: true, crew } : { ok: false, taken: true, needed, free: free.length };
+  }
+
+  if (free.length < needed) return { ok: false, needed, free: free.length };
+
+  const load = id => dayEvents.filter(ev => eventCrew(ev).includes(id)).length;
+  const crew = [...free].sort((a, b) => load(a.id) - load(b.id)).slice(0, needed);
+  return { ok: true, crew };
+}
+
+// Invitados de Calendar para el crew
+export function crewAttendees(crew) {
+  return crew.filter(p => p.email).map(p => ({ email: p.email }));
+}
+
+export function crewLine(crew) {
+  return crew.length ? `👥 Crew: ${crew.map(p => p.name || p.id).join(', ')}` : '';
+}
@@ -0,0 +1,73 @@
+// /api/_store.js
+// Almacén JSON mínimo (una colección = un archivo) para lo que no vive en Calendar ni
+// en Stripe: cola de revisión, ledgers, etc., y las reservas con BOOKING_STORE=file (ver
+// _repo.js). DATA_DIR debe apuntar a un disco persistente en producción; el default en
+// /tmp solo sirve para desarrollo.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+const DATA_DIR = process.env.DATA_DIR || '/tmp/manna-data';
+
+// Serializa lecturas-escrituras dentro del proceso para no pisar cambios
+let chain = Promise.resolve();
+
+function fileFor(name) {
+  return path.join(DATA_DIR, `${name}.json`);
+}
+
+async function readAll(name) {
+  try {
+    return JSON.parse(await fs.readFile(fileFor(name), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+async function writeAll(name, docs) {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  const tmp = `${fileFor(name)}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(docs, null, 2));
+  await fs.rename(tmp, fileFor(name));
+}
+
+// fn recibe el arreglo de documentos y puede mutarlo; se guarda al terminar
+export function withCollection(name, fn) {
+  const run = chain.then(async () => {
+    const docs = await readAll(name);
+    const out = await fn(docs);
+    await writeAll(name, docs);
+    return out;
+  });
+  chain = run.catch(() => {});
+  return run;
+}
+
+export async function list(name, pred = () => true) {
+  await chain;
+  return (await readAll(name)).filter(pred);
+}
+
+export async function get(name, id) {
+  return (await list(name, d => d.id === id))[0] || null;
+}
+
+export function insert(name, doc) {
+  const now = new Date().toISOString();
+  const row = { id: crypto.randomUUID(), createdAt: now, updatedAt: now, ...doc };
+  return withCollection(name, docs => {
+    docs.push(row);
+    return row;
+  });
+}
+
+export function update(name, id, patch) {
+  return withCollection(name, docs => {
+    const row = docs.find(d => d.id === id);
+    if (!row) return null;
+    Object.assign(row, patch, { updatedAt: new Date().toISOString() });
+    return row;
+  });
+}
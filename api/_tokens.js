@@ -0,0 +1,37 @@
+// /api/_tokens.js
+// Tokens firmados (HMAC-SHA256) para links sin login: base64url(payload).firma.
+// payload = { p: propósito, exp: epoch ms, ...datos }. Secreto en BOOKING_TOKEN_SECRET.
+
+import crypto from 'node:crypto';
+
+function secret() {
+  const key = process.env.BOOKING_TOKEN_SECRET;
+  if (!key) throw new Error('missing BOOKING_TOKEN_SECRET');
+  return key;
+}
+
+const b64url = buf => Buffer.from(buf).toString('base64url');
+const sign = body => crypto.createHmac('sha256', secret()).update(body).digest('base64url');
+
+export function signToken(purpose, data, expiresAt) {
+  const body = b64url(JSON.stringify({ p: purpose, exp: new Date(expiresAt).getTime(), ...data }));
+  return `${body}.${sign(body)}`;
+}
+
+// Devuelve el payload si la firma, el propósito y la vigencia cuadran; si no, null
+export function verifyToken(token, purpose) {
+  const [body, sig] = String(token || '').split('.');
+  if (!body || !sig) return null;
+  const expected = sign(body);
+  if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) {
+    return null;
+  }
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (payload.p !== purpose || !(payload.exp > Date.now())) return null;
+  return payload;
+}
@@ -0,0 +1,135 @@
+// /api/_waitlist.js
+// Lista de espera por día (colección "waitlist"). Cuando se libera capacidad (cancelación,
+// reembolso, pago fallido o hold vencido) el día se ofrece a la siguiente persona en
+// orden de llegada que quepa, una oferta a la vez, con un link firmado que vence (por
+// correo, ver _emails.js). El link lleva al checkout normal (create-checkout con
+// claimToken); si vence sin reserva, /api/cron/waitlist pasa la oferta a la siguiente.
+//
+// ⚙️ Entorno (opcional):
+// - WAITLIST_CLAIM_URL    página de reserva que recibe ?claim=… (default https://mannasnackbars.com/book)
+// - WAITLIST_CLAIM_HOURS  vigencia de la oferta (default 12)
+
+import { list, insert, update, withCollection } from './_store.js';
+import { signToken, verifyToken } from './_tokens.js';
+import { localYMD, listEventsForDay, slotsForDay } from './_rules.js';
+import { sendWaitlistOffer } from './_emails.js';
+
+const COLLECTION = 'waitlist';
+const CLAIM_URL = process.env.WAITLIST_CLAIM_URL || 'https://mannasnackbars.com/book';
+const CLAIM_HOURS = Number(process.env.WAITLIST_CLAIM_HOURS || 12);
+
+// Lo que ve el cliente (sin datos internos de la oferta)
+export function publicEntry(entry) {
+  return {
+    id: entry.id,
+    date: entry.date,
+    pkg: entry.pkg,
+    order: entry.order,
+    fullName: entry.fullName,
+    status: entry.status,
+    offerExpiresAt: entry.offerExpiresAt || null,
+  };
+}
+
+/**
+ * Alta en la lista (una por email, día y paquete mientras siga esperando). entry trae
+ * { date, pkg, order, fullName, email, phone, lang }. Devuelve { entry, position }.
+ */
+export async function joinWaitlist(entry) {
+  const email = entry.email.toLowerCase();
+  const queue = await list(COLLECTION, w => w.date === entry.date && w.status === 'waiting');
+  let row = queue.find(w => w.email === email && w.pkg === entry.pkg);
+  if (!row) row = await insert(COLLECTION, { ...entry, email, status: 'waiting' });
+  const ordered = (await list(COLLECTION, w => w.date === entry.date && w.status === 'waiting'))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  return { entry: row, position: ordered.findIndex(w => w.id === row.id) + 1 };
+}
+
+function claimLink(id, expiresAt) {
+  return `${CLAIM_URL}?claim=${encodeURIComponent(signToken('claim', { w: id }, expiresAt))}`;
+}
+
+// Ofertas vencidas y entradas de días pasados dejan de contar
+function expireStale(now) {
+  const today = localYMD(now);
+  return withCollection(COLLECTION, docs => {
+    for (const w of docs) {
+      if (w.status === 'offered' && new Date(w.offerExpiresAt) <= now) {
+        Object.assign(w, { status: 'offer_expired', updatedAt: now.toISOString() });
+      } else if (w.status === 'waiting' && w.date < today) {
+        Object.assign(w, { status: 'expired', updatedAt: now.toISOString() });
+      }
+    }
+  });
+}
+
+/**
+ * Ofrece el día ymd a la primera entrada en espera para la que haya algún inicio libre
+ * (con su paquete y equipo). No hace nada si ya hay una oferta vigente ese día.
+ * Devuelve la entrada ofrecida o null.
+ */
+export async function offerFreedSlot(repo, ymd, now = new Date()) {
+  await expireStale(now);
+  const day = await list(COLLECTION, w => w.date === ymd);
+  if (day.some(w => w.status === 'offered')) return null;
+
+  const queue = day.filter(w => w.status === 'waiting').sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  if (!queue.length) return null;
+
+  const events = await listEventsForDay(repo, ymd);
+  for (const w of queue) {
+    const { slots } = slotsForDay({ ymd, pkg: w.pkg, order: w.order, events, now });
+    if (!slots.length) continue;
+    const expiresAt = new Date(now.getTime() + CLAIM_HOURS * 3600e3);
+    const offered = await update(COLLECTION, w.id, {
+      status: 'offered',
+      offeredAt: now.toISOString(),
+      offerExpiresAt: expiresAt.toISOString(),
+      claimUrl: claimLink(w.id, expiresAt),
+    });
+    await sendWaitlistOffer(offered);
+    return offered;
+  }
+  return null;
+}
+
+// Para los flujos que liberan un hueco: nunca hacen fallar al que llama
+export function slotFreed(repo, startISO) {
+  if (!startISO) return Promise.resolve(null);
+  return offerFreedSlot(repo, localYMD(startISO)).catch(err => {
+    console.error('[waitlist] offer failed', err?.message || err);
+    return null;
+  });
+}
+
+// Cron: vence ofertas y vuelve a ofrecer cada día con gente esperando
+export async function processWaitlist(repo, now = new Date()) {
+  await expireStale(now);
+  const dates = [...new Set((await list(COLLECTION, w => w.status === 'waiting')).map(w => w.date))].sort();
+  const offers = [];
+  for (const ymd of dates) {
+    const offered = await offerFreedSlot(repo, ymd, now);
+    if (offered) offers.push(offered.id);
+  }
+  return { dates: dates.length, offers };
+}
+
+/**
+ * Entrada apuntada por un claimToken con oferta vigente. Devuelve { entry } o
+ * { status, error } listo para responder.
+ */
+export async function loadClaim(token, now = new Date()) {
+  const payload = verifyToken(token, 'claim');
+  if (!payload?.w) return { status: 401, error: 'invalid_claim' };
+  const entry = (await list(COLLECTION, w => w.id === payload.w))[0];
+  if (!entry) return { status: 404, error: 'claim_not_found' };
+  if (entry.status === 'booked') return { status: 409, error: 'claim_used' };
+  if (entry.status !== 'offered' || new Date(entry.offerExpiresAt) <= now) {
+    return { status: 410, error: 'claim_expired' };
+  }
+  return { entry };
+}
+
+export function markClaimed(id, eventId) {
+  return update(COLLECTION, id, { status: 'booked', eventId });
+}
@@ -0,0 +1,112 @@
+// /api/_zones.js
+// Área de servicio: el venue (texto libre) se ubica por ZIP o ciudad en una tabla local
+// de zonas. Cada zona define el cargo de traslado (lo cobra _pricing.js) y el colchón de
+// traslado que _rules.js suma antes y después de la ventana operativa.
+//
+// ⚙️ Entorno (opcional):
+// - SERVICE_ZONES JSON {"local":{"fee":0,"bufferMinutes":30,"zips":["900"],"cities":["los angeles"]},…}
+//   zips acepta ZIP completos o prefijos (p.ej. "913")
+
+const DEFAULT_ZONES = {
+  local: {
+    fee: 0,
+    bufferMinutes: 30,
+    zips: ['900', '901', '902'],
+    cities: ['los angeles', 'inglewood', 'culver city'],
+  },
+  zone1: {
+    fee: 50,
+    bufferMinutes: 45,
+    zips: ['903', '904', '905'],
+    cities: ['long beach', 'torrance', 'compton', 'santa monica'],
+  },
+  zone2: {
+    fee: 100,
+    bufferMinutes: 60,
+    zips: ['906', '907', '908', '910', '911', '912'],
+    cities: ['pasadena', 'glendale', 'burbank', 'whittier'],
+  },
+  zone3: {
+    fee: 150,
+    bufferMinutes: 90,
+    zips: ['913', '914', '915', '916', '917', '918'],
+    cities: ['santa clarita', 'pomona', 'west covina', 'van nuys'],
+  },
+};
+
+function loadZones() {
+  if (!process.env.SERVICE_ZONES) return DEFAULT_ZONES;
+  try {
+    return JSON.parse(process.env.SERVICE_ZONES);
+  } catch (err) {
+    console.error('[zones] invalid SERVICE_ZONES:', err?.message || err);
+    return DEFAULT_ZONES;
+  }
+}
+const ZONES = loadZones();
+
+// Colchón más largo de la tabla; _rules.js amplía sus consultas a Calendar con él
+export const MAX_TRAVEL_MINUTES = Math.max(0, ...Object.values(ZONES).map(z => Number(z.bufferMinutes || 0)));
+
+function zoneByZip(zip) {
+  let best = null;
+  for (const [name, z] of Object.entries(ZONES)) {
+    for (const prefix of z.zips || []) {
+      // El prefijo más largo gana ("91301" sobre "913")
+      if (zip.startsWith(prefix) && (!best || prefix.length > best.prefix.length)) best = { name, prefix };
+    }
+  }
+  return best?.name || null;
+}
+
+// Ciudad por palabras completas, nunca como fragmento de otra palabra
+function zoneByCity(text) {
+  const words = ` ${text.toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+  const has = c => words.includes(` ${String(c).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `);
+  for (const [name, z] of Object.entries(ZONES)) {
+    if ((z.cities || []).some(has)) return name;
+  }
+  return null;
+}
+
+// ZIP dentro del texto del venue: el que sigue al estado ("CA 90067"), si no el último de
+// 5 dígitos que no abre la dirección (ese es el número de la calle: "10250 Santa Monica Blvd")
+function zipFromText(text) {
+  const last = re => [...text.matchAll(re)].filter(m => m.index > 0 || m[0] === text).at(-1)?.[1] || '';
+  return last(/\b[A-Z]{2},?\s+(\d{5})(?:-\d{4})?\b/gi) || last(/\b(\d{5})(?:-\d{4})?\b/g);
+}
+
+/**
+ * Ubica el venue. Devuelve null si no hay venue ni zip (nada que ubicar),
+ * { ok:true, zone, zip, fee, bufferMinutes } o { ok:false, error, detail } si está fuera
+ * del área o no se reconoce.
+ */
+export function resolveVenue({ venue = '', zip = '' } = {}) {
+  const text = String(venue || '').trim();
+  const code = String(zip || '').trim() || zipFromText(text);
+  if (!text && !code) return null;
+
+  const zone = code ? zoneByZip(code) : zoneByCity(text);
+  if (!zone) {
+    return code
+      ? { ok: false, error: 'outside_service_area', detail: `ZIP ${code} is outside our service area.` }
+      : { ok: false, error: 'venue_unrecognized', detail: 'Include the venue ZIP code.' };
+  }
+  const z = ZONES[zone];
+  return { ok: true, zone, zip: code, fee: Number(z.fee || 0), bufferMinutes: Number(z.bufferMinutes || 0) };
+}
+
+// Propiedades privadas del evento (hold o reserva) para la zona del venue
+export function travelProps(order = {}) {
+  const travel = resolveVenue(order);
+  return {
+    venueZip: travel?.zip || '',
+    travelZone: travel?.ok ? travel.zone : '',
+    travelBufferMin: String(travel?.ok ? travel.bufferMinutes : 0),
+  };
+}
+
+// Colchón de traslado guardado en un evento existente
+export function eventTravelMinutes(ev) {
+  return Number(ev?.extendedProperties?.private?.travelBufferMin || 0);
+}
@@ -0,0 +1,60 @@
+// /api/admin/affiliates.js
+export const config = { runtime: 'nodejs' };
+
+import { applyCors, handlePreflight } from '../_cors.js';
+import { requireAdmin } from '../_admin.js';
+import { listAffiliates, getAffiliate, saveAffiliate, publicAffiliate } from '../_affiliates.js';
+import { diffFields, recordAudit } from '../_audit.js';
+import { PACKAGES } from '../_catalog.js';
+import { parseInput } from '../_schema.js';
+import { sendError, sendResult, sendFailure } from '../_errors.js';
+
+const BODY = {
+  id:          { type: 'string', max: 100 },
+  name:        { type: 'string', max: 120 },
+  email:       { type: 'email' },
+  pin:         { type: 'string', pattern: /^\d{4,12}$/, message: 'must be 4–12 digits' },
+  enabled:     { type: 'boolean' },
+  expiresAt:   { type: 'string', max: 40 },
+  packages:    { type: 'list', values: PACKAGES },
+  skipDeposit: { type: 'boolean' },
+};
+const CLEARABLE = ['expiresAt', 'packages'];
+
+// GET  → afiliados registrados (sin hash de PIN)
+// POST { id?, name, email, pin, enabled, expiresAt, packages, skipDeposit } → alta (sin id)
+//      o cambio (con id; solo los campos enviados). enabled:false desactiva; pin nuevo lo rota.
+export default async function handler(req, res) {
+  if (handlePreflight(req, res)) return;
+  applyCors(req, res);
+
+  const admin = requireAdmin(req, res);
+  if (!admin) return;
+
+  try {
+    if (req.method === 'GET') {
+      const affiliates = (await listAffiliates()).map(publicAffiliate);
+      affiliates.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+      return res.status(200).json({ ok: true, affiliates });
+    }
+
+    if (req.method !== 'POST') return sendError(res, 'method_not_allowed');
+
+    const body = parseInput(res, BODY, req.body);
+    if (!body) return;
+    // parseInput descarta los vacíos; expiresAt:'' o packages:'' enviados borran el valor
+    for (const k of CLEARABLE) if (body[k] === undefined && req.body?.[k] === '') body[k] = '';
+    const before = body.id ? publicAffiliate(await getAffiliate(body.id)) || {} : {};
+    const result = await saveAffiliate(body);
+    if (!result.ok) return sendResult(res, result);
+    const { id, createdAt, updatedAt, ...after } = publicAffiliate(result.affiliate);
+    await recordAudit({
+      entity: 'affiliate', entityId: id, action: body.id ? 'edit' : 'create', by: admin.user,
+      changes: diffFields(before, after), ...(body.pin ? { pinChanged: true } : {}),
+    });
+    return res.status(200).json({ ok: true, affiliate: publicAffiliate(result.affiliate) });
+  } catch (e) {
+    console.error('[admin/affiliates] error', e?.message || e);
+    return sendFailure(res, 'affiliates_failed', e);
+  }
+}
@@ -0,0 +1,290 @@
+// /api/admin/bookings.js
+export const config = { runtime: 'nodejs' };
+
+import Stripe from 'stripe';
+import { applyCors, handlePreflight } from '../_cors.js';
+import { requireAdmin } from '../_admin.js';
+import { getBookingRepo } from '../_repo.js';
+import {
+  TZ, isHold, localYMD, addDaysYMD, dayRange, operationalWindow, checkSlot, recheckWritten,
+} from '../_rules.js';
+import {
+  STATUS_LABELS, CONTACT_FIELDS, privateProps, bookingView, bookingTitle, setBookingStatus, upsertLine, revertChanges,
+} from '../_booking.js';
+import { ORDER_FIELDS, quoteInput } from '../_pricing.js';
+import { travelProps } from '../_zones.js';
+import { eventCrew, staffByIds, crewAttendees } from '../_staff.js';
+import { moveCommission, voidCommission } from '../_commissions.js';
+import { refundableAmount, refundBooking } from '../_manage.js';
+import { slotFreed } from '../_waitlist.js';
+import { sendBookingEmail } from '../_emails.js';
+import { diffFields, recordAudit, auditTrail } from '../_audit.js';
+import { parseInput } from '../_schema.js';
+import { sendError, sendResult, sendFailure } from '../_errors.js';
+
+const QUERY = {
+  id:        { type: 'string', max: 1024 },
+  from:      { type: 'ymd' },
+  to:        { type: 'ymd' },
+  status:    { type: 'list', values: Object.keys(STATUS_LABELS) },
+  affiliate: { type: 'string', max: 120 },
+  q:         { type: 'string', max: 120 },
+};
+const BODY = {
+  id:            { type: 'string', required: true, max: 1024 },
+  action:        { type: 'enum', required: true, values: ['edit', 'cancel'] },
+  changes:       {
+    type: 'object',
+    schema: {
+      startISO:      { type: 'datetime' },
+      venue:         ORDER_FIELDS.venue,
+      zip:           ORDER_FIELDS.zip,
+      customerName:  { type: 'string', max: 120 },
+      customerEmail: CONTACT_FIELDS.email,
+      phone:         CONTACT_FIELDS.phone,
+      notes:         CONTACT_FIELDS.notes,
+    },
+  },
+  override:      { type: 'boolean', default: false },
+  reason:        { type: 'string', max: 500, default: '' },
+  refundPercent: { type: 'number', min: 0, max: 100, default: 0 },
+};
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+// Campos de texto editables: propiedad privada (si la hay) y línea de la descripción
+const TEXT_FIELDS = {
+  customerName:  { prop: 'customerName',  line: '👤 Client:' },
+  customerEmail: { prop: 'customerEmail', line: '✉️ Email:' },
+  phone:         { prop: 'customerPhone', line: '📞 Phone:' },
+  notes:         { line: '📝 Notes:' },
+};
+// parseInput descarta los vacíos; estos campos enviados como '' o null se borran
+const CLEARABLE = ['customerEmail', 'phone', 'notes'];
+
+// GET  ?from=YYYY-MM-DD&to=&status=confirmed,paid_in_full&affiliate=&q=
+//      → reservas del rango (default: próximos 30 días; sin status, solo las vivas)
+// GET  ?id=… → una reserva con su bitácora de cambios
+// POST { id, action: 'edit', changes: { startISO, venue, zip, customerName, customerEmail,
+//        phone, notes }, override, reason } → edita; override:true (con reason) salta las
+//        reglas de horario/capacidad al mover; customerEmail/phone/notes en '' los borran
+// POST { id, action: 'cancel', reason, refundPercent } → cancela (y reembolsa ese %)
+export default async function handler(req, res) {
+  if (handlePreflight(req, res)) return;
+  applyCors(req, res);
+
+  const admin = requireAdmin(req, res);
+  if (!admin) return;
+
+  try {
+    const repo = await getBookingRepo();
+
+    if (req.method === 'GET') {
+      const q = parseInput(res, QUERY, req.query);
+      if (!q) return;
+      if (q.id) {
+        const ev = await repo.get(q.id);
+        if (!ev || isHold(ev)) return sendError(res, 'booking_not_found');
+        return res.status(200).json({
+          ok: true,
+          booking: bookingView(ev),
+          audit: await auditTrail('booking', ev.id),
+          history: await repo.history(ev.id),
+        });
+      }
+      const listed = await listBookings(repo, q);
+      if (!listed.ok) return sendResult(res, listed);
+      return res.status(200).json(listed);
+    }
+
+    if (req.method !== 'POST') return sendError(res, 'method_not_allowed');
+
+    const body = parseInput(res, BODY, req.body);
+    if (!body) return;
+    const sent = req.body?.changes || {};
+    for (const k of CLEARABLE) {
+      if (body.changes?.[k] === undefined && (sent[k] === '' || sent[k] === null)) {
+        body.changes = { ...body.changes, [k]: '' };
+      }
+    }
+    const ev = await repo.get(body.id);
+    if (!ev || isHold(ev)) return sendError(res, 'booking_not_found');
+
+    const result = body.action === 'edit'
+      ? await editBooking(repo, ev, body, admin)
+      : await cancelBooking(repo, ev, body, admin);
+    if (!result.ok) return sendResult(res, result);
+    return res.status(200).json(result);
+  } catch (e) {
+    console.error('[admin/bookings] error', e?.message || e);
+    return sendFailure(res, 'bookings_failed', e);
+  }
+}
+
+async function listBookings(repo, q) {
+  const from = q.from || localYMD(new Date());
+  const to = q.to || addDaysYMD(from, DEFAULT_RANGE_DAYS);
+  if (to < from || to > addDaysYMD(from, MAX_RANGE_DAYS)) {
+    return { ok: false, error: 'invalid_range', detail: `to must be on or after from and at most ${MAX_RANGE_DAYS} days later.` };
+  }
+
+  const statuses = new Set(q.status || []);
+  const affiliate = (q.affiliate || '').toLowerCase();
+  const needle = (q.q || '').toLowerCase();
+
+  const events = await repo.listRange({
+    timeMin: dayRange(from).dayStartISO,
+    timeMax: dayRange(to).dayEndISO,
+    includeCancelled: statuses.size > 0,
+  });
+  const bookings = events
+    .filter(ev => !isHold(ev))
+    .map(bookingView)
+    .filter(b => (statuses.size ? statuses.has(b.status) : true))
+    .filter(b => !affiliate || [b.affiliate?.id, b.affiliate?.name].some(v => String(v || '').toLowerCase() === affiliate))
+    .filter(b => !needle || [b.customer.name, b.customer.email, b.customer.phone].some(v => v.toLowerCase().includes(needle)));
+
+  return { ok: true, from, to, count: bookings.length, bookings };
+}
+
+/**
+ * Cambios del staff. Mover (startISO, venue o zip) pasa por las mismas reglas que el
+ * cliente sin contarse a sí misma; override:true con reason deja guardar igual (menos un
+ * startISO inválido) y el motivo queda en la reserva y en la bitácora.
+ */
+async function editBooking(repo, ev, body, admin) {
+  const input = body.changes || {};
+  const { reason, override } = body;
+  if (override && !reason) {
+    return { ok: false, error: 'missing_reason', detail: 'A capacity override needs a reason.' };
+  }
+
+  const view = bookingView(ev);
+  const props = privateProps(ev);
+  const before = {
+    startISO: view.start,
+    venue: view.venue,
+    zip: view.travel.zip,
+    customerName: view.customer.name,
+    customerEmail: view.customer.email,
+    phone: view.customer.phone,
+    notes: view.notes,
+  };
+  const after = {};
+  for (const k of Object.keys(before)) if (input[k] !== undefined) after[k] = input[k];
+  // La misma hora escrita de otra forma (Z, otro offset) no es una reprogramación
+  if (after.startISO && new Date(after.startISO).getTime() === new Date(before.startISO).getTime()) delete after.startISO;
+  const changes = diffFields(before, after);
+  if (!Object.keys(changes).length) {
+    return { ok: false, error: 'nothing_to_change', detail: 'changes has no new values.' };
+  }
+  const next = { ...before, ...after };
+
+  const requestBody = { description: ev.description, extendedProperties: { private: { ...props } } };
+  for (const [k, { prop, line }] of Object.entries(TEXT_FIELDS)) {
+    if (!changes[k]) continue;
+    if (prop) requestBody.extendedProperties.private[prop] = next[k];
+    requestBody.description = upsertLine(requestBody.description, line, next[k]);
+  }
+  if (changes.customerName && props.pkg && props.mainBar) requestBody.summary = bookingTitle(props.mainBar, props.pkg, next.customerName);
+  // El invitado es el cliente: con otro email se cambia el invitado (y se le avisa)
+  let attendees = ev.attendees || [];
+  if (changes.customerEmail) {
+    const old = String(before.customerEmail || '').toLowerCase();
+    attendees = [
+      ...(next.customerEmail ? [{ email: next.customerEmail }] : []),
+      ...attendees.filter(a => String(a.email || '').toLowerCase() !== old),
+    ];
+    requestBody.attendees = attendees;
+  }
+
+  const moving = !!(changes.startISO || changes.venue || changes.zip);
+  const order = quoteInput({ ...props, venue: next.venue, zip: next.zip });
+  let overridden = '';
+  const saved = await repo.transaction(async () => {
+    if (moving) {
+      const verdict = await checkSlot(repo, { startISO: next.startISO, pkg: props.pkg, order, ignoreEventId: ev.id });
+      if (!verdict.ok && (verdict.reason === 'invalid_start' || !override)) return verdict;
+      if (!verdict.ok) overridden = verdict.reason;
+
+      // Con override se conserva el crew que ya tenía
+      const crew = verdict.ok ? verdict.crew : staffByIds(eventCrew(ev));
+      const { serviceEnd } = verdict.ok ? verdict.window : operationalWindow(next.startISO, props.pkg);
+      const oldCrewEmails = new Set(staffByIds(eventCrew(ev)).map(p => p.email).filter(Boolean));
+      Object.assign(requestBody, {
+        start: { dateTime: next.startISO, timeZone: TZ },
+        end:   { dateTime: serviceEnd.toISOString(), timeZone: TZ },
+        location: next.venue,
+        attendees: [
+          ...attendees.filter(a => !oldCrewEmails.has(a.email)),
+          ...crewAttendees(crew),
+        ],
+        description: upsertLine(requestBody.description, '📍 Venue:', next.venue),
+      });
+      Object.assign(requestBody.extendedProperties.private, {
+        ...travelProps(order),
+        crew: crew.map(p => p.id).join(','),
+        capacityOverride: overridden ? `${overridden}: ${reason}` : '',
+        ...(changes.startISO ? { rescheduledFrom: before.startISO } : {}),
+      });
+    }
+    const notify = moving || !!changes.customerEmail;
+    const updated = await repo.patch(ev.id, requestBody, { sendUpdates: notify ? 'all' : 'none' });
+    // Sin override, lo que otra instancia haya escrito en medio deshace el cambio
+    if (moving && !overridden) {
+      const clash = await recheckWritten(repo, updated, { startISO: next.startISO, pkg: props.pkg, order },
+        () => repo.patch(ev.id, revertChanges(ev, updated), { sendUpdates: 'all' }));
+      if (clash) return clash;
+    }
+    return { ok: true, ev: updated };
+  });
+  if (!saved.ok) return saved;
+
+  await recordAudit({
+    entity: 'booking', entityId: ev.id, action: 'edit', by: admin.user, changes, reason,
+    ...(overridden ? { override: overridden } : {}),
+  });
+
+  if (changes.startISO) {
+    await moveCommission(ev.id, next.startISO)
+      .catch(err => console.error('[admin/bookings] commission move failed', err?.message || err));
+    await sendBookingEmail('rescheduled', saved.ev);
+    await slotFreed(repo, before.startISO);
+  }
+  return { ok: true, booking: bookingView(saved.ev), changes, override: overridden || null };
+}
+
+async function cancelBooking(repo, ev, body, admin) {
+  if (ev.status === 'cancelled') return { ok: false, error: 'already_cancelled' };
+  const { reason, refundPercent: pct } = body;
+
+  let refund = { amount: 0, refunds: [] };
+  if (refundableAmount(ev, pct) > 0) {
+    const stripeSecret = process.env.STRIPE_SECRET_KEY;
+    if (!stripeSecret) return { ok: false, error: 'missing_STRIPE_SECRET_KEY' };
+    const stripe = new Stripe(stripeSecret, { apiVersion: '2022-11-15' });
+    refund = await refundBooking(stripe, ev, pct);
+  }
+
+  const previous = bookingView(ev).status;
+  const cancelled = await setBookingStatus(repo, ev, 'cancelled', {
+    note: [`$${refund.amount} refunded (${pct}%)`, reason].filter(Boolean).join(' — '),
+    props: { cancelledBy: `staff:${admin.user}`, refundedAmount: String(refund.amount) },
+    cancel: true,
+    sendUpdates: 'all',
+  });
+
+  await recordAudit({
+    entity: 'booking', entityId: ev.id, action: 'cancel', by: admin.user, reason,
+    changes: { status: { from: previous, to: 'cancelled' } },
+    refund: { percent: pct, amount: refund.amount, refunds: refund.refunds },
+  });
+
+  await voidCommission(ev.id, 'cancelled')
+    .catch(err => console.error('[admin/bookings] commission void failed', err?.message || err));
+  await sendBookingEmail('cancellation', cancelled, { refundAmount: refund.amount });
+  await slotFreed(repo, ev.start?.dateTime || ev.start?.date);
+
+  return { ok: true, booking: bookingView(cancelled), refundPercent: pct, refundAmount: refund.amount };
+}
@@ -0,0 +1,40 @@
+// /api/admin/feeds.js
+export const config = { runtime: 'nodejs' };
+
+import { applyCors, handlePreflight } from '../_cors.js';
+import { requireAdmin } from '../_admin.js';
+import { FEED_KINDS, findFeedOwner, feedLink } from '../_feeds.js';
+import { recordAudit } from '../_audit.js';
+import { parseInput } from '../_schema.js';
+import { sendError, sendResult, sendFailure } from '../_errors.js';
+
+const QUERY = {
+  kind: { type: 'enum', required: true, values: FEED_KINDS },
+  id:   { type: 'string', required: true, max: 100 },
+};
+
+// GET ?kind=affiliate|staff&id=… → link del feed iCalendar para darle a esa persona
+// (url para descargar, webcal para suscribirse)
+export default async function handler(req, res) {
+  if (handlePreflight(req, res)) return;
+  applyCors(req, res);
+
+  const admin = requireAdmin(req, res);
+  if (!admin) return;
+
+  try {
+    if (req.method !== 'GET') return sendError(res, 'method_not_allowed');
+
+    const q = parseInput(res, QUERY, req.query);
+    if (!q) return;
+    const owner = await findFeedOwner(q.kind, q.id);
+    if (!owner.kind) return sendResult(res, owner);
+
+    const url = feedLink(owner.kind, owner.id);
+    await recordAudit({ entity: owner.kind, entityId: owner.id, action: 'feed_link', by: admin.user });
+    return res.status(200).json({ ok: true, ...owner, url, webcal: url.replace(/^https?:/, 'webcal:') });
+  } catch (e) {
+    console.error('[admin/feeds] error', e?.message || e);
+    return sendFailure(res, 'feeds_failed', e);
+  }
+}
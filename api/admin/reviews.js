@@ -0,0 +1,60 @@
+// /api/admin/reviews.js
+export const config = { runtime: 'nodejs' };
+
+import Stripe from 'stripe';
+import { applyCors, handlePreflight } from '../_cors.js';
+import { requireAdmin } from '../_admin.js';
+import { listReviews, refundReview, resolveReview } from '../_review.js';
+import { get } from '../_store.js';
+import { parseInput } from '../_schema.js';
+import { sendError, sendFailure } from '../_errors.js';
+
+const QUERY = {
+  status: { type: 'enum', values: ['open', 'refunded', 'resolved'] },
+};
+const BODY = {
+  id:     { type: 'string', required: true, max: 100 },
+  action: { type: 'enum', required: true, values: ['refund', 'resolve'] },
+  note:   { type: 'string', max: 1000, truncate: true },
+};
+
+// GET  ?status=open|refunded|resolved → pagos sin evento con sesión, metadata y motivo
+// POST { id, action: 'refund' | 'resolve', note } → el staff los cierra
+export default async function handler(req, res) {
+  if (handlePreflight(req, res)) return;
+  applyCors(req, res);
+
+  const admin = requireAdmin(req, res);
+  if (!admin) return;
+
+  try {
+    if (req.method === 'GET') {
+      const query = parseInput(res, QUERY, req.query);
+      if (!query) return;
+      const reviews = await listReviews({ status: query.status });
+      reviews.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+      return res.status(200).json({ ok: true, reviews });
+    }
+
+    if (req.method !== 'POST') return sendError(res, 'method_not_allowed');
+
+    const body = parseInput(res, BODY, req.body);
+    if (!body) return;
+    const review = await get('reviews', body.id);
+    if (!review) return sendError(res, 'review_not_found');
+    const note = body.note || '';
+
+    if (body.action === 'refund') {
+      const stripeSecret = process.env.STRIPE_SECRET_KEY;
+      if (!stripeSecret) return sendError(res, 'missing_STRIPE_SECRET_KEY');
+      const stripe = new Stripe(stripeSecret, { apiVersion: '2022-11-15' });
+      const updated = await refundReview(stripe, review, { by: admin.user, note });
+      return res.status(200).json({ ok: true, review: updated });
+    }
+    const updated = await resolveReview(review, { by: admin.user, note });
+    return res.status(200).json({ ok: true, review: updated });
+  } catch (e) {
+    console.error('[admin/reviews] error', e?.message || e);
+    return sendFailure(res, 'reviews_failed', e);
+  }
+}
@@ -0,0 +1,81 @@
+// /api/admin/webhooks.js
+export const config = { runtime: 'nodejs' };
+
+import Stripe from 'stripe';
+import { applyCors, handlePreflight } from '../_cors.js';
+import { requireAdmin } from '../_admin.js';
+import { listJournal, journalEntry } from '../_journal.js';
+import { recordAudit } from '../_audit.js';
+import { processStripeEvent } from '../stripe/webhook.js';
+import { parseInput } from '../_schema.js';
+import { sendError, sendFailure } from '../_errors.js';
+
+const QUERY = {
+  id:     { type: 'string', max: 255 },
+  status: { type: 'enum', values: ['received', 'processing', 'processed', 'retrying', 'failed', 'ignored'] },
+  type:   { type: 'string', max: 100 },
+  limit:  { type: 'number', integer: true, min: 1, max: 500, default: 100 },
+};
+const BODY = {
+  id:     { type: 'string', required: true, pattern: /^evt_\w+$/, message: 'must be a Stripe event id (evt_…)' },
+  reason: { type: 'string', max: 500, default: '' },
+};
+
+// GET  ?status=received|processing|processed|retrying|failed|ignored&type=… → bitácora
+// GET  ?id=evt_… → una entrada con su payload
+// POST { id: 'evt_…', reason } → reprocesa ese evento (de la bitácora o, si no está, de
+//      Stripe); la idempotencia por session.id evita reservas duplicadas
+export default async function handler(req, res) {
+  if (handlePreflight(req, res)) return;
+  applyCors(req, res);
+
+  const admin = requireAdmin(req, res);
+  if (!admin) return;
+
+  try {
+    if (req.method === 'GET') {
+      const q = parseInput(res, QUERY, req.query);
+      if (!q) return;
+      if (q.id) {
+        const entry = await journalEntry(q.id);
+        if (!entry) return sendError(res, 'event_not_found');
+        return res.status(200).json({ ok: true, event: entry });
+      }
+      const events = await listJournal({ status: q.status, type: q.type, limit: q.limit });
+      return res.status(200).json({ ok: true, events });
+    }
+
+    if (req.method !== 'POST') return sendError(res, 'method_not_allowed');
+
+    const body = parseInput(res, BODY, req.body);
+    if (!body) return;
+    const { id } = body;
+
+    const stripeSecret = process.env.STRIPE_SECRET_KEY;
+    if (!stripeSecret) return sendError(res, 'missing_STRIPE_SECRET_KEY');
+    const stripe = new Stripe(stripeSecret, { apiVersion: '2022-11-15' });
+
+    // Stripe guarda los eventos 30 días; lo que ya está en la bitácora no caduca
+    const entry = await journalEntry(id);
+    let event = entry?.payload;
+    if (!event) {
+      try {
+        event = await stripe.events.retrieve(id);
+      } catch (err) {
+        if (err?.statusCode === 404) return sendError(res, 'event_not_found');
+        throw err;
+      }
+    }
+
+    const result = await processStripeEvent(stripe, event, { replay: true, by: `staff:${admin.user}` });
+    await recordAudit({
+      entity: 'webhook_event', entityId: id, action: 'replay', by: admin.user,
+      reason: body.reason, result,
+    });
+    const { payload, ...journaled } = await journalEntry(id);
+    return res.status(200).json({ ok: true, result, event: journaled });
+  } catch (e) {
+    console.error('[admin/webhooks] error', e?.message || e);
+    return sendFailure(res, 'webhooks_failed', e);
+  }
+}
@@ -0,0 +1,104 @@
+// /api/affiliate/report.js
+export const config = { runtime: 'nodejs' };
+
+import { applyCors, handlePreflight } from '../_cors.js';
+import { authenticateAffiliate } from '../_affiliates.js';
+import { ledgerFor } from '../_commissions.js';
+import { feedLink } from '../_feeds.js';
+import { parseInput } from '../_schema.js';
+import { sendError, sendResult, sendFailure } from '../_errors.js';
+
+// GET con el PIN del afiliado en X-Affiliate-Pin, o POST { pin, month, from, to, format }
+// (el PIN nunca en la URL: quedaría en los logs de acceso)
+//   ?month=YYYY-MM o ?from=&to= (días locales del evento; sin filtro = todo)
+//   ?format=csv → una fila por reserva
+// Devuelve sus reservas, totales y comisión por periodo (mes del evento). Las reservas
+// canceladas o reembolsadas aparecen como void y no suman. feedUrl es su feed iCalendar
+// (ver _feeds.js).
+
+const QUERY = {
+  month:  { type: 'string', pattern: /^\d{4}-(0[1-9]|1[0-2])$/, message: 'must be YYYY-MM' },
+  from:   { type: 'ymd' },
+  to:     { type: 'ymd' },
+  format: { type: 'enum', values: ['json', 'csv'], default: 'json' },
+};
+
+const BODY = {
+  ...QUERY,
+  pin: { type: 'string', max: 12 },
+};
+
+function periodFromQuery(q) {
+  if (q.month) return { from: `${q.month}-01`, to: `${q.month}-31` };
+  return { from: q.from || null, to: q.to || null };
+}
+
+const money = n => Math.round(n * 100) / 100;
+
+function summarize(rows) {
+  const active = rows.filter(r => r.status === 'active');
+  return {
+    bookings: active.length,
+    sales: money(active.reduce((sum, r) => sum + r.total, 0)),
+    commission: money(active.reduce((sum, r) => sum + r.commission, 0)),
+  };
+}
+
+const CSV_COLUMNS = ['date', 'eventId', 'client', 'pkg', 'source', 'status', 'total', 'commission'];
+
+// Un texto que empieza con = + - @ (o tab/CR) la hoja de cálculo lo ejecuta como fórmula:
+// se antepone ' (el nombre del cliente lo escribe cualquiera)
+function csvCell(v) {
+  const raw = String(v ?? '');
+  const str = typeof v !== 'number' && /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export default async function handler(req, res) {
+  if (handlePreflight(req, res)) return;
+  applyCors(req, res);
+  if (req.method !== 'GET' && req.method !== 'POST') return sendError(res, 'method_not_allowed');
+
+  try {
+    const q = req.method === 'POST' ? parseInput(res, BODY, req.body) : parseInput(res, QUERY, req.query);
+    if (!q) return;
+    const auth = await authenticateAffiliate(req, String(req.headers?.['x-affiliate-pin'] || '').trim() || q.pin || '');
+    if (!auth.ok) return sendResult(res, auth);
+    const { aff } = auth;
+
+    const period = periodFromQuery(q);
+
+    const rows = (await ledgerFor(aff, period)).sort((a, b) => a.startISO.localeCompare(b.startISO));
+
+    if (q.format === 'csv') {
+      const lines = [CSV_COLUMNS.join(','), ...rows.map(r => CSV_COLUMNS.map(c => csvCell(r[c])).join(','))];
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="commissions.csv"');
+      return res.status(200).send(lines.join('\n'));
+    }
+
+    const byMonth = new Map();
+    for (const r of rows) {
+      const key = r.date.slice(0, 7);
+      if (!byMonth.has(key)) byMonth.set(key, []);
+      byMonth.get(key).push(r);
+    }
+
+    return res.status(200).json({
+      ok: true,
+      affiliate: { name: aff.name || '' },
+      feedUrl: feedLink('affiliate', aff.id),
+      from: period.from,
+      to: period.to,
+      totals: summarize(rows),
+      periods: [...byMonth].map(([month, list]) => ({ period: month, ...summarize(list) })),
+      bookings: rows.map(r => ({
+        eventId: r.eventId, date: r.date, startISO: r.startISO, client: r.client, pkg: r.pkg,
+        source: r.source, status: r.status, total: r.total, commission: r.commission,
+      })),
+    });
+  } catch (e) {
+    console.error('[affiliate/report] error', e?.message || e);
+    return sendFailure(res, 'report_failed', e);
+  }
+}
@@ -0,0 +1,74 @@
+// /api/booking/cancel.js
+export const config = { runtime: 'nodejs' };
+
+import Stripe from 'stripe';
+import { applyCors, handlePreflight } from '../_cors.js';
+import { getBookingRepo } from '../_repo.js';
+import { setBookingStatus } from '../_booking.js';
+import { voidCommission } from '../_commissions.js';
+import { slotFreed } from '../_waitlist.js';
+import { sendBookingEmail } from '../_emails.js';
+import { loadManagedBooking, refundPercent, refundableAmount, refundBooking } from '../_manage.js';
+import { parseInput } from '../_schema.js';
+import { sendError, sendResult, sendFailure } from '../_errors.js';
+
+const INPUT = {
+  token:  { type: 'string', required: true, max: 2000 },
+  reason: { type: 'string', max: 500, truncate: true },
+};
+
+// GET  ?token=… → vista previa (cuánto se reembolsaría hoy)
+// POST { token, reason } → cancela, reembolsa según REFUND_POLICY y avisa a los invitados
+export default async function handler(req, res) {
+  if (handlePreflight(req, res)) return;
+  applyCors(req, res);
+
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') return sendError(res, 'method_not_allowed');
+
+    const input = parseInput(res, INPUT, req.method === 'GET' ? req.query : req.body);
+    if (!input) return;
+    const repo = await getBookingRepo();
+    const loaded = await loadManagedBooking(repo, input.token);
+    if (!loaded.ev) return sendResult(res, loaded);
+    const { ev } = loaded;
+
+    const startISO = ev.start?.dateTime || ev.start?.date;
+    const pct = refundPercent(startISO);
+    const refundAmount = refundableAmount(ev, pct);
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        ok: true,
+        booking: { id: ev.id, summary: ev.summary, start: startISO, location: ev.location || '' },
+        refundPercent: pct,
+        refundAmount,
+      });
+    }
+
+    let refund = { amount: 0, refunds: [] };
+    if (refundAmount > 0) {
+      const stripeSecret = process.env.STRIPE_SECRET_KEY;
+      if (!stripeSecret) return sendError(res, 'missing_STRIPE_SECRET_KEY');
+      const stripe = new Stripe(stripeSecret, { apiVersion: '2022-11-15' });
+      refund = await refundBooking(stripe, ev, pct);
+    }
+
+    const reason = input.reason || '';
+    const cancelled = await setBookingStatus(repo, ev, 'cancelled', {
+      note: [`$${refund.amount} refunded (${pct}%)`, reason].filter(Boolean).join(' — '),
+      props: { cancelledBy: 'customer', refundedAmount: String(refund.amount) },
+      cancel: true,
+      sendUpdates: 'all',
+    });
+    await voidCommission(ev.id, 'cancelled')
+      .catch(err => console.error('[booking/cancel] commission void failed', err?.message || err));
+    await sendBookingEmail('cancellation', cancelled, { refundAmount: refund.amount });
+    await slotFreed(repo, startISO);
+
+    return res.status(200).json({ ok: true, cancelled: ev.id, refundPercent: pct, refundAmount: refund.amount });
+  } catch (e) {
+    console.error('[booking/cancel] error', e?.message || e);
+    return sendFailure(res, 'cancel_failed', e);
+  }
+}
@@ -0,0 +1,39 @@
+// /api/booking/ics.js
+export const config = { runtime: 'nodejs' };
+
+import { applyCors, handlePreflight } from '../_cors.js';
+import { getBookingRepo } from '../_repo.js';
+import { bookingFromToken, manageLink } from '../_manage.js';
+import { eventICS } from '../_ics.js';
+import { parseInput } from '../_schema.js';
+import { sendError, sendResult, sendFailure } from '../_errors.js';
+
+const QUERY = {
+  token: { type: 'string', required: true, max: 2000 },
+};
+
+// GET ?token=… (el mismo del link de autogestión) → la reserva como archivo .ics para
+// cualquier calendario; una cancelada sale como CANCEL para quitarla
+export default async function handler(req, res) {
+  if (handlePreflight(req, res)) return;
+  applyCors(req, res);
+
+  try {
+    if (req.method !== 'GET') return sendError(res, 'method_not_allowed');
+
+    const q = parseInput(res, QUERY, req.query);
+    if (!q) return;
+    const repo = await getBookingRepo();
+    const found = await bookingFromToken(repo, q.token);
+    if (!found.ev) return sendResult(res, found);
+    const { ev } = found;
+
+    const cancelled = ev.status === 'cancelled';
+    res.setHeader('Content-Type', `text/calendar; charset=utf-8; method=${cancelled ? 'CANCEL' : 'PUBLISH'}`);
+    res.setHeader('Content-Disposition', 'attachment; filename="manna-booking.ics"');
+    return res.status(200).send(eventICS(ev, { url: cancelled ? undefined : manageLink(ev.id) }));
+  } catch (e) {
+    console.error('[booking/ics] error', e?.message || e);
+    return sendFailure(res, 'ics_failed', e);
+  }
+}
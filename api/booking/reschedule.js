@@ -0,0 +1,87 @@
+// /api/booking/reschedule.js
+export const config = { runtime: 'nodejs' };
+
+import { applyCors, handlePreflight } from '../_cors.js';
+import { getBookingRepo } from '../_repo.js';
+import { TZ, checkSlot, recheckWritten } from '../_rules.js';
+import { privateProps, withStatusLine, revertChanges } from '../_booking.js';
+import { MANAGE_CUTOFF_HOURS, loadManagedBooking, cutoffDenies } from '../_manage.js';
+import { quoteInput } from '../_pricing.js';
+import { eventCrew, staffByIds, crewAttendees } from '../_staff.js';
+import { moveCommission } from '../_commissions.js';
+import { slotFreed } from '../_waitlist.js';
+import { sendBookingEmail } from '../_emails.js';
+import { parseInput } from '../_schema.js';
+import { sendError, sendResult, sendFailure } from '../_errors.js';
+
+const BODY = {
+  token:    { type: 'string', required: true, max: 2000 },
+  startISO: { type: 'datetime', required: true },
+};
+
+// POST { token, startISO } → mueve la reserva a otro inicio con las mismas reglas de
+// availability/capacidad (sin contarse a sí misma) y avisa a los invitados
+export default async function handler(req, res) {
+  if (handlePreflight(req, res)) return;
+  applyCors(req, res);
+  if (req.method !== 'POST') return sendError(res, 'method_not_allowed');
+
+  try {
+    const body = parseInput(res, BODY, req.body);
+    if (!body) return;
+    const { startISO } = body;
+
+    const repo = await getBookingRepo();
+    const loaded = await loadManagedBooking(repo, body.token);
+    if (!loaded.ev) return sendResult(res, loaded);
+    const { ev } = loaded;
+    const props = privateProps(ev);
+    // El plazo vale también para el horario nuevo: no se mueve a menos de N horas
+    const tooSoon = cutoffDenies(startISO);
+    if (tooSoon) {
+      return sendResult(res, { ...tooSoon, detail: `The new start must be at least ${MANAGE_CUTOFF_HOURS}h away.` });
+    }
+
+    const order = quoteInput({ ...props, venue: ev.location, zip: props.venueZip });
+    const fromISO = ev.start?.dateTime || ev.start?.date;
+
+    // Verificar y mover sin que otra escritura del proceso se cuele; lo de otra instancia
+    // lo detecta recheckWritten y el cambio se deshace
+    const moved = await repo.transaction(async () => {
+      const verdict = await checkSlot(repo, { startISO, pkg: props.pkg, order, ignoreEventId: ev.id });
+      if (!verdict.ok) return { verdict };
+
+      // El crew se vuelve a asignar para el nuevo horario
+      const oldCrewEmails = new Set(staffByIds(eventCrew(ev)).map(p => p.email).filter(Boolean));
+      const attendees = [
+        ...(ev.attendees || []).filter(a => !oldCrewEmails.has(a.email)),
+        ...crewAttendees(verdict.crew),
+      ];
+
+      const updated = await repo.patch(ev.id, {
+        start: { dateTime: startISO, timeZone: TZ },
+        end:   { dateTime: verdict.window.serviceEnd.toISOString(), timeZone: TZ },
+        attendees,
+        description: withStatusLine(ev.description, props.bookingStatus || 'confirmed', `rescheduled from ${fromISO}`),
+        extendedProperties: {
+          private: { ...props, rescheduledFrom: fromISO, crew: verdict.crew.map(p => p.id).join(',') },
+        },
+      }, { sendUpdates: 'all' });
+      const clash = await recheckWritten(repo, updated, { startISO, pkg: props.pkg, order },
+        () => repo.patch(ev.id, revertChanges(ev, updated), { sendUpdates: 'all' }));
+      return clash ? { verdict: clash } : { ev: updated };
+    });
+    if (!moved.ev) return sendResult(res, moved.verdict);
+
+    await moveCommission(ev.id, startISO)
+      .catch(err => console.error('[booking/reschedule] commission move failed', err?.message || err));
+    await sendBookingEmail('rescheduled', moved.ev);
+    // El horario anterior queda libre
+    await slotFreed(repo, fromISO);
+
+    return res.status(200).json({ ok: true, eventId: moved.ev.id || ev.id, startISO });
+  } catch (e) {
+    console.error('[booking/reschedule] error', e?.message || e);
+    return sendFailure(res, 'reschedule_failed', e);
+  }
+}
@@ -0,0 +1,34 @@
+// /api/calendar/feed.js
+export const config = { runtime: 'nodejs' };
+
+import { getBookingRepo } from '../_repo.js';
+import { feedOwner, feedCalendar } from '../_feeds.js';
+import { parseInput } from '../_schema.js';
+import { sendError, sendResult, sendFailure } from '../_errors.js';
+
+const QUERY = {
+  token: { type: 'string', required: true, max: 2000 },
+};
+
+// GET ?token=… → feed iCalendar del afiliado o de la persona del staff (ver _feeds.js).
+// Lo consultan las apps de calendario (sin CORS); se suscribe como webcal://…
+export default async function handler(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return sendError(res, 'method_not_allowed');
+
+    const q = parseInput(res, QUERY, req.query);
+    if (!q) return;
+    const owner = await feedOwner(q.token);
+    if (!owner.kind) return sendResult(res, owner);
+
+    const repo = await getBookingRepo();
+    const ics = await feedCalendar(repo, owner);
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="manna-bookings.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=900');
+    return res.status(200).send(ics);
+  } catch (e) {
+    console.error('[calendar/feed] error', e?.message || e);
+    return sendFailure(res, 'feed_failed', e);
+  }
+}
@@ -0,0 +1,32 @@
+// /api/catalog.js
+export const config = { runtime: 'nodejs' };
+
+import { applyCors, handlePreflight } from './_cors.js';
+import { LANGS, publicCatalog } from './_catalog.js';
+import { parseInput } from './_schema.js';
+import { sendError, sendFailure } from './_errors.js';
+
+const QUERY = {
+  lang: { type: 'enum', values: LANGS },
+};
+
+// GET ?lang=es → paquetes, barras, precios y fuente para pintar el formulario de reserva.
+// Sin lang las etiquetas vienen en todos los idiomas ({ en, es }).
+export default async function handler(req, res) {
+  if (handlePreflight(req, res)) return;
+  applyCors(req, res);
+
+  try {
+    if (req.method !== 'GET') return sendError(res, 'method_not_allowed');
+
+    const q = parseInput(res, QUERY, req.query);
+    if (!q) return;
+
+    // Cambia solo con un deploy (o variables de entorno): se puede cachear un rato
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    return res.status(200).json({ ok: true, ...publicCatalog(q.lang) });
+  } catch (e) {
+    console.error('[catalog] error', e?.message || e);
+    return sendFailure(res, 'catalog_failed', e);
+  }
+}
@@ -3,16 +3,36 @@ export const config = { runtime: 'nodejs' };
 
 import Stripe from 'stripe';
 import { applyCors, handlePreflight } from './_cors.js';
+import { getBookingRepo } from './_repo.js';
+import { ORDER_FIELDS, quoteInput, buildQuote, reconcileAmounts, chargeLines } from './_pricing.js';
+import { CONTACT_FIELDS } from './_booking.js';
+import { checkSlot, localYMD } from './_rules.js';
+import { newHoldId, placeHold, attachSession, releaseHold } from './_holds.js';
+import { authenticateAffiliate, affiliateDenies } from './_affiliates.js';
+import { loadClaim } from './_waitlist.js';
+import { reservePromo, releasePromo } from './_promos.js';
+import { parseInput } from './_schema.js';
+import { sendError, sendResult, sendFailure } from './_errors.js';
 
 // ⚙️ Entorno:
 // - STRIPE_SECRET_KEY (requerido)
 // - STRIPE_SUCCESS_URL (opcional; default https://mannasnackbars.com/thankyou)
 // - STRIPE_CANCEL_URL  (opcional; default https://mannasnackbars.com/)
-// - (El webhook leerá metadata y creará el evento)
-
-function s(v, fb = '') {
-  return (typeof v === 'string' ? v : fb).trim();
-}
+// - HOLD_MINUTES       (opcional; default 30, mínimo 30 por Stripe)
+// - (El webhook leerá metadata y convertirá el hold en el evento)
+
+const BODY = {
+  ...ORDER_FIELDS,
+  ...CONTACT_FIELDS,
+  zip:        { ...ORDER_FIELDS.zip, required: true }, // el pago no debe depender de adivinar el ZIP del venue
+  fullName:   { ...CONTACT_FIELDS.fullName, required: false, default: 'Client' },
+  startISO:   { type: 'datetime', required: true }, // **importante**: lo usará el webhook para calendar
+  dateISO:    { type: 'string', max: 40 },
+  pin:        { type: 'string', pattern: /^\d{4,12}$/, message: 'must be 4–12 digits' },
+  claimToken: { type: 'string', max: 2000 },
+  total:      { type: 'number', min: 0 },
+  deposit:    { type: 'number', min: 0 },
+};
 
 export default async function handler(req, res) {
   // CORS
@@ -20,106 +40,148 @@ export default async function handler(req, res) {
   applyCors(req, res);
 
   try {
-    if (req.method !== 'POST') {
-      return res.status(405).json({ ok: false, error: 'method_not_allowed' });
-    }
+    if (req.method !== 'POST') return sendError(res, 'method_not_allowed');
 
     const stripeSecret = process.env.STRIPE_SECRET_KEY;
-    if (!stripeSecret) {
-      return res.status(500).json({ ok: false, error: 'missing_STRIPE_SECRET_KEY' });
-    }
+    if (!stripeSecret) return sendError(res, 'missing_STRIPE_SECRET_KEY');
     const stripe = new Stripe(stripeSecret, { apiVersion: '2022-11-15' });
 
     const successUrl = process.env.STRIPE_SUCCESS_URL || 'https://mannasnackbars.com/thankyou';
     const cancelUrl  = process.env.STRIPE_CANCEL_URL  || 'https://mannasnackbars.com/';
 
-    // ---- Body & normalización
-    const body = req.body || {};
-
-    const pkg        = s(body.pkg);
-    const mainBar    = s(body.mainBar);
-    const fullName   = s(body.fullName || 'Client');
-    const phone      = s(body.phone);
-    const email      = s(body.email);            // puede venir vacío; el webhook preferirá checkout email
-    const venue      = s(body.venue);
-    const dateISO    = s(body.dateISO);
-    const startISO   = s(body.startISO);         // **importante**: lo usará el webhook para calendar
-    const affName    = s(body.affiliateName);
-    const affEmail   = s(body.affiliateEmail);
-    const pin        = s(body.pin);
-
-    // Totales (el webhook los usa para pintar Deposit/Balance en Calendar)
-    const depositNum = Number(body.deposit || 0);
-    const totalNum   = Number(body.total   || 0);
-    const balanceNum = Math.max(0, totalNum - depositNum);
-
-    // 🔒 Forzamos modo depósito y validamos > 0
-    if (!(depositNum > 0)) {
-      return res.status(400).json({ ok: false, error: 'deposit_required', detail: 'Enter a deposit > $0.' });
+    // ---- Body validado y normalizado (email puede venir vacío; el webhook preferirá el de checkout)
+    const body = parseInput(res, BODY, req.body);
+    if (!body) return;
+    const { pkg, mainBar, fullName, startISO, pin } = body;
+    const phone   = body.phone || '';
+    const email   = body.email || '';
+    const venue   = body.venue || '';
+    const dateISO = body.dateISO || '';
+    const notes   = body.notes || '';
+
+    // Totales calculados en el servidor (el webhook los usa para pintar Deposit/Balance en Calendar)
+    const order = quoteInput(body);
+    const priced = await buildQuote(order, { requireVenue: true });
+    if (!priced.ok) return sendResult(res, priced);
+    const amounts = reconcileAmounts(priced.quote, body);
+    if (!amounts.ok) return sendResult(res, amounts);
+    const { total: totalNum, deposit: depositNum, balance: balanceNum } = amounts;
+    if (depositNum <= 0) return sendError(res, 'nothing_to_charge');
+    const promo = priced.quote.promo;
+
+    // Afiliado opcional: el PIN se valida aquí y a Stripe solo viaja su id
+    let aff = null;
+    if (pin) {
+      const auth = await authenticateAffiliate(req, pin);
+      if (!auth.ok) return sendResult(res, auth);
+      aff = auth.aff;
+      const denied = affiliateDenies(aff, order);
+      if (denied) return sendResult(res, denied);
     }
 
-    // Validaciones mínimas
-    if (!pkg || !mainBar || !fullName) {
-      return res.status(400).json({ ok: false, error: 'missing_fields', detail: 'pkg, mainBar, fullName are required.' });
+    // Horario y capacidad antes de cobrar; luego hold para apartar el hueco
+    const repo = await getBookingRepo();
+    const verdict = await checkSlot(repo, { startISO, pkg, order });
+    if (!verdict.ok) return sendResult(res, verdict);
+
+    // Oferta de la lista de espera (opcional): debe seguir vigente y ser para ese día
+    let waitlistId = '';
+    if (body.claimToken) {
+      const claim = await loadClaim(body.claimToken);
+      if (!claim.entry) return sendResult(res, claim);
+      if (localYMD(startISO) !== claim.entry.date) {
+        return sendError(res, 'claim_date_mismatch', { detail: `The offer is for ${claim.entry.date}.` });
+      }
+      waitlistId = claim.entry.id;
     }
-    if (!startISO) {
-      return res.status(400).json({ ok: false, error: 'missing_startISO', detail: 'Pick a slot first.' });
+
+    const holdId = newHoldId();
+    const held = await placeHold(repo, { holdId, startISO, pkg, order, crew: verdict.crew, fullName });
+    if (!held.ok) return sendResult(res, held);
+
+    // El código queda apartado mientras dura el hold (maxUses cuenta los checkouts abiertos)
+    if (promo) {
+      const expiresAt = held.hold.extendedProperties.private.holdExpiresAt;
+      const reserved = await reservePromo(promo.code, { key: holdId, expiresAt });
+      if (!reserved.ok) {
+        await releaseHold(repo, holdId).catch(() => {});
+        return sendResult(res, reserved);
+      }
     }
 
-    // Título de la línea
-    const titleMap = {
-      pancake: 'Mini Pancake',
-      maruchan: 'Maruchan',
-      esquites: 'Esquites (Corn Cups)',
-      snack: 'Manna Snack — Classic',
-      tostiloco: 'Tostiloco (Premium)'
-    };
-    const sizeMap = {
-      '50-150-5h': '50–150',
-      '150-250-5h': '150–250',
-      '250-350-6h': '250–350'
-    };
-    const productTitle = `${titleMap[mainBar] || 'Service'} — ${sizeMap[pkg] || pkg} (Deposit)`;
+    // Un renglón por concepto de la cotización (barra, segunda barra, fuente, traslado);
+    // el depósito se reparte en proporción y suma exactamente lo cobrado
+    const chargeLabel = depositNum >= totalNum ? 'Paid in full' : 'Deposit';
+    const lineItems = chargeLines(priced.quote, depositNum)
+      .filter(line => line.cents > 0)
+      .map(line => ({
+        price_data: {
+          currency: 'usd',
+          unit_amount: line.cents,
+          product_data: {
+            name: `${line.label} (${chargeLabel})`,
+            ...(promo ? { description: `Promo ${promo.code} applied (−$${promo.discount} on the order)` } : {}),
+          },
+        },
+        quantity: 1,
+      }));
 
     // Metadata que consumirá /api/stripe/webhook
     const metadata = {
       pkg,
       mainBar,
+      // Extras (el webhook los pinta y guarda igual que create-event)
+      secondEnabled: String(order.secondEnabled),
+      secondBar: order.secondEnabled ? order.secondBar : '',
+      secondSize: order.secondEnabled ? order.secondSize || pkg : '',
+      fountainEnabled: String(order.fountainEnabled),
+      fountainType: order.fountainEnabled ? order.fountainType : '',
+      fountainSize: order.fountainEnabled ? order.fountainSize : '',
       fullName,
       phone,
       venue,
+      zip: order.zip,  // si el front lo manda aparte del venue
       dateISO,
       startISO,       // <<< clave para calendar
       email,          // opcional; webhook preferirá session.customer_details.email
-      affiliateName: affName,
-      affiliateEmail: affEmail,
-      pin,
+      affiliateId: aff?.id || '',
+      affiliateName: aff?.name || '',
+      affiliateEmail: aff?.email || '',
+      notes,
+      lang: body.lang || '',
+      promoCode: promo?.code || '',
+      discount: String(promo?.discount || 0),
       payMode: 'deposit',
+      holdId,         // hold que el webhook convierte (completed) o libera (expired)
+      waitlistId,     // oferta de la lista de espera que queda usada al pagar
       // Totales redondeados a enteros (como se mostrará en Calendar)
       deposit: String(Math.round(depositNum)),
       total:   String(Math.round(totalNum)),
       balance: String(Math.round(balanceNum)),
     };
 
-    const session = await stripe.checkout.sessions.create({
-      mode: 'payment',
-      payment_method_types: ['card'],
-      success_url: successUrl,
-      cancel_url: cancelUrl,
-      line_items: [{
-        price_data: {
-          currency: 'usd',
-          unit_amount: Math.round(depositNum * 100),
-          product_data: { name: productTitle },
-        },
-        quantity: 1
-      }],
-      metadata
-    });
+    let session;
+    try {
+      session = await stripe.checkout.sessions.create({
+        mode: 'payment',
+        payment_method_types: ['card'],
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        line_items: lineItems,
+        metadata,
+        expires_at: Math.floor(held.expiresAt.getTime() / 1000),
+      });
+    } catch (err) {
+      await releaseHold(repo, holdId).catch(() => {});
+      await releasePromo(holdId).catch(() => {});
+      throw err;
+    }
+    await attachSession(repo, held.hold, session.id).catch(err =>
+      console.error('[create-checkout] attach session to hold failed', err?.message || err));
 
     return res.status(200).json({ ok: true, url: session.url });
   } catch (e) {
     console.error('[create-checkout] error', e?.message || e);
-    return res.status(500).json({ ok: false, error: 'checkout_failed', detail: String(e?.message || e) });
+    return sendFailure(res, 'checkout_failed', e);
   }
 }
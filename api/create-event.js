@@ -2,217 +2,124 @@
 export const config = { runtime: 'nodejs' };
 
 import { applyCors, handlePreflight } from './_cors.js';
-import { getOAuthCalendar } from './_google.js';
-import { resolveAffiliate } from './_affiliates.js';
-
-const TZ = process.env.TIMEZONE || 'America/Los_Angeles';
-const CAL_ID = process.env.CALENDAR_ID || process.env.GOOGLE_CALENDAR_ID || 'primary';
-
-// Reglas sincronizadas con el webhook
-const HOURS_RANGE = { start: 9, end: 22 }; // permite inicios 09:00..21:59 (LA)
-const PREP_HOURS = 1;
-const CLEAN_HOURS = 1;
-const MAX_PER_SLOT = 2;
-const MAX_PER_DAY = 3;
-
-// ---- helpers ----
-const s = (v, fb = '') => (typeof v === 'string' ? v : fb).trim();
-
-function pkgLabel(v) {
-  const m = {
-    '50-150-5h': '50–150 (5h window)',
-    '150-250-5h': '150–250 (5h window)',
-    '250-350-6h': '250–350 (6h window)',
-  };
-  return m[v] || v || '';
-}
-function barLabel(v) {
-  const m = {
-    pancake: 'Mini Pancake',
-    maruchan: 'Maruchan',
-    esquites: 'Esquites (Corn Cups)',
-    snack: 'Manna Snack — Classic',
-    tostiloco: 'Tostiloco (Premium)',
-  };
-  return m[v] || v || 'Bar';
-}
-function serviceHours(pkg) {
-  if (pkg === '50-150-5h') return 2;
-  if (pkg === '150-250-5h') return 2.5;
-  if (pkg === '250-350-6h') return 3;
-  return 2;
-}
-
-function localHour(iso, tz) {
-  const dt = new Date(iso);
-  const parts = new Intl.DateTimeFormat('en-US', { timeZone: tz, hour: '2-digit', hour12: false }).formatToParts(dt);
-  return Number(parts.find(p => p.type === 'hour')?.value || '0');
-}
-function assertWithinHours(startISO, tz) {
-  const hh = localHour(startISO, tz);
-  if (hh < HOURS_RANGE.start || hh >= HOURS_RANGE.end) {
-    const e = new Error(`outside_business_hours: ${hh}:00 not in ${HOURS_RANGE.start}:00–${HOURS_RANGE.end - 1}:59 ${tz}`);
-    e.status = 409;
-    throw e;
-  }
-}
-
-function opWindow(startISO, pkg) {
-  const live = serviceHours(pkg);
-  const t = new Date(startISO).getTime();
-  const opStartISO = new Date(t - PREP_HOURS * 3600_000).toISOString();
-  const opEndISO = new Date(t + (live + CLEAN_HOURS) * 3600_000).toISOString();
-  return { opStartISO, opEndISO, live };
-}
-function dayRange(startISO) {
-  const d = new Date(startISO);
-  const dayStart = new Date(d.getFullYear(), d.getMonth(), d.getDate());
-  const dayEnd = new Date(dayStart.getTime() + 24 * 3600_000);
-  return { dayStartISO: dayStart.toISOString(), dayEndISO: dayEnd.toISOString() };
-}
+import { getBookingRepo } from './_repo.js';
+import { authenticateAffiliate, affiliateDenies } from './_affiliates.js';
+import { ORDER_FIELDS, quoteInput, buildQuote, reconcileAmounts } from './_pricing.js';
+import {
+  CONTACT_FIELDS, newEventId, bookingTitle, withStatusLine, orderProps, orderLines, timingLines, promoLine,
+} from './_booking.js';
+import { manageLink, icsLink } from './_manage.js';
+import { crewAttendees, crewLine } from './_staff.js';
+import { travelProps } from './_zones.js';
+import { recordCommission } from './_commissions.js';
+import { reservePromo, releasePromo, recordRedemption } from './_promos.js';
+import { sendBookingEmail, pickLang } from './_emails.js';
+import { TZ, checkSlot, recheckWritten } from './_rules.js';
+import { parseInput } from './_schema.js';
+import { sendError, sendResult, sendFailure } from './_errors.js';
+
+const BODY = {
+  ...ORDER_FIELDS,
+  ...CONTACT_FIELDS,
+  zip:            { ...ORDER_FIELDS.zip, required: true }, // igual que create-checkout: la zona no se adivina
+  pin:            { type: 'string', required: true, pattern: /^\d{4,12}$/, message: 'must be 4–12 digits' },
+  startISO:       { type: 'datetime', required: true },
+  idempotencyKey: { type: 'string', max: 200 },
+  total:          { type: 'number', min: 0 },
+  deposit:        { type: 'number', min: 0 },
+};
+
+// Vigencia del uso de promo apartado mientras se escribe la reserva
+const PROMO_HOLD_MS = 10 * 60e3;
 
 export default async function handler(req, res) {
   if (handlePreflight(req, res)) return;
   applyCors(req, res);
-  if (req.method !== 'POST') return res.status(405).json({ ok: false, error: 'method_not_allowed' });
+  if (req.method !== 'POST') return sendError(res, 'method_not_allowed');
 
   try {
-    const body = req.body || {};
-
-    // Afiliado obligatorio
-    const pin = s(body.pin);
-    const aff = resolveAffiliate(pin);
-    if (!aff) return res.status(400).json({ ok: false, error: 'invalid_pin' });
-
-    // Requeridos
-    const startISO = s(body.startISO);
-    const pkg = s(body.pkg);
-    const mainBar = s(body.mainBar);
-    const fullName = s(body.fullName);
-    if (!startISO || !pkg || !mainBar || !fullName) {
-      return res.status(400).json({ ok: false, error: 'missing_fields' });
-    }
-
-    // Horario
-    assertWithinHours(startISO, TZ);
-
-    // Capacidad
-    const { opStartISO, opEndISO, live } = opWindow(startISO, pkg);
-    const { calendar } = await getOAuthCalendar();
-
-    // Límite por día
-    const { dayStartISO, dayEndISO } = dayRange(startISO);
-    const dayList = await calendar.events.list({
-      calendarId: CAL_ID,
-      timeMin: dayStartISO,
-      timeMax: dayEndISO,
-      singleEvents: true,
-      orderBy: 'startTime',
-      maxResults: 250,
-    });
-    const dayEvents = (dayList.data.items || []).filter(e => e.status !== 'cancelled');
-    if (dayEvents.length >= MAX_PER_DAY) {
-      return res.status(409).json({ ok: false, error: 'capacity_day_limit', detail: `Max ${MAX_PER_DAY} events per day reached.` });
-    }
-
-    // Límite de solapamiento en bloque operativo
-    const overlapList = await calendar.events.list({
-      calendarId: CAL_ID,
-      timeMin: opStartISO,
-      timeMax: opEndISO,
-      singleEvents: true,
-      orderBy: 'startTime',
-      maxResults: 250,
-    });
-    const overlapping = (overlapList.data.items || []).filter(ev => {
-      if (ev.status === 'cancelled') return false;
-      const aStart = new Date(opStartISO), aEnd = new Date(opEndISO);
-      const bStart = new Date(ev.start?.dateTime || ev.start?.date);
-      const bEnd = new Date(ev.end?.dateTime || ev.end?.date);
-      return !(bEnd <= aStart || bStart >= aEnd);
-    }).length;
-    if (overlapping >= MAX_PER_SLOT) {
-      return res.status(409).json({
-        ok: false,
-        error: 'capacity_overlap_limit',
-        detail: `Max ${MAX_PER_SLOT} concurrent events in operational window (prep+${live}h+clean).`,
-      });
-    }
-
-    // Totales y descripción bonita (igual que webhook)
-    const total = Number(body.total || 0);
-    const deposit = Number(body.deposit || 0);
-    const balance = Math.max(0, total - deposit);
-
-    const email = s(body.email);
-    const phone = s(body.phone);
-    const venue = s(body.venue);
-    const notes = s(body.notes);
-    const secondEnabled = !!body.secondEnabled;
-    const fountainEnabled = !!body.fountainEnabled;
-
-    const secondBar = s(body.secondBar);
-    const secondSize = s(body.secondSize);
-    const fountainType = s(body.fountainType);
-    const fountainSize = s(body.fountainSize);
-
-    const affiliateName = s(body.affiliateName || aff.name);
-    const affiliateEmail = s(body.affiliateEmail || aff.email);
-
-    const description = [
+    const body = parseInput(res, BODY, req.body);
+    if (!body) return;
+    const { startISO, pkg, mainBar, fullName } = body;
+
+    // Afiliado obligatorio (PIN con bloqueo por intentos; el PIN no se guarda en el evento)
+    const auth = await authenticateAffiliate(req, body.pin);
+    if (!auth.ok) return sendResult(res, auth);
+    const { aff } = auth;
+
+    // Totales calculados en el servidor; se rechazan montos del cliente que no cuadren
+    const order = quoteInput(body);
+    const priced = await buildQuote(order, { requireVenue: true });
+    if (!priced.ok) return sendResult(res, priced);
+    const denied = affiliateDenies(aff, order);
+    if (denied) return sendResult(res, denied);
+    const amounts = reconcileAmounts(priced.quote, body, aff.skipDeposit ? { minDeposit: 0 } : undefined);
+    if (!amounts.ok) return sendResult(res, amounts);
+    const { total, deposit, balance } = amounts;
+
+    // Horario y capacidad (mismo motor que availability y el webhook)
+    const repo = await getBookingRepo();
+    const verdict = await checkSlot(repo, { startISO, pkg, order });
+    if (!verdict.ok) return sendResult(res, verdict);
+
+    const email = body.email || '';
+    const phone = body.phone || '';
+    const venue = body.venue || '';
+    const notes = body.notes || '';
+
+    const affiliateName = String(aff.name || '').trim();
+    const affiliateEmail = String(aff.email || '').trim();
+
+    const eventId = newEventId();
+    const manageUrl = manageLink(eventId);
+    // Estado como en el webhook: sin depósito (afiliado con skipDeposit) queda pendiente de pago
+    const status = aff.skipDeposit && !(deposit > 0) && balance > 0 ? 'pending_payment' : 'confirmed';
+
+    const description = withStatusLine([
       `👤 Client: ${fullName}`,
       email ? `✉️ Email: ${email}` : '',
       phone ? `📞 Phone: ${phone}` : '',
       venue ? `📍 Venue: ${venue}` : '',
       '',
-      `🍫 Main bar: ${barLabel(mainBar)} — ${pkgLabel(pkg)}`,
-      secondEnabled ? `➕ Second bar: ${barLabel(secondBar)} — ${pkgLabel(secondSize)}` : '',
-      fountainEnabled ? `🫗 Chocolate fountain: ${fountainType || '-'} — ${fountainSize || '-'} ppl` : '',
+      ...orderLines(order),
       '',
       '💰 Totals:',
       `   • Total: $${total.toFixed(0)}`,
+      promoLine(priced.quote.promo?.code, priced.quote.promo?.discount),
       `   • Deposit: $${deposit.toFixed(0)}`,
       `   • Balance: $${balance.toFixed(0)}`,
       '',
-      '⏱️ Timing:',
-      `   • Prep: 1h before start`,
-      `   • Service: ${serviceHours(pkg)}h`,
-      `   • Clean up: +1h after`,
+      ...timingLines(pkg),
+      crewLine(verdict.crew),
       '',
       `🤝 Affiliate: ${affiliateName}${affiliateEmail ? ` <${affiliateEmail}>` : ''}`,
-      pin ? `🔑 PIN: ${pin}` : '',
       notes ? `📝 Notes: ${notes}` : '',
-    ].filter(Boolean).join('\n');
+      '',
+      `🔗 Manage booking: ${manageUrl}`,
+    ].filter(Boolean).join('\n'), status);
 
-    // Attendees (cliente + afiliado si existe email)
+    // Attendees (cliente + afiliado si existe email + crew asignado)
     const attendees = [];
     if (email && /\S+@\S+\.\S+/.test(email)) attendees.push({ email: email.trim() });
     if (affiliateEmail && /\S+@\S+\.\S+/.test(affiliateEmail)) attendees.push({ email: affiliateEmail.trim() });
+    attendees.push(...crewAttendees(verdict.crew));
 
     // Fin de servicio (solo horas de servicio; el bloque operativo es para la validación)
-    const endServiceISO = new Date(new Date(startISO).getTime() + serviceHours(pkg) * 3600_000).toISOString();
+    const endServiceISO = verdict.window.serviceEnd.toISOString();
 
-    const title = `Manna Snack Bars — ${barLabel(mainBar)} — ${pkgLabel(pkg)} — ${fullName}`;
+    const title = bookingTitle(mainBar, pkg, fullName);
 
     // Idempotencia opcional (si el front manda idempotencyKey)
-    const idempotencyKey = s(body.idempotencyKey);
+    const idempotencyKey = body.idempotencyKey;
     if (idempotencyKey) {
-      const { dayStartISO: ds, dayEndISO: de } = dayRange(startISO);
-      const exist = await calendar.events.list({
-        calendarId: CAL_ID,
-        timeMin: ds,
-        timeMax: de,
-        singleEvents: true,
-        orderBy: 'startTime',
-        privateExtendedProperty: `idem=${idempotencyKey}`,
-        maxResults: 50,
-      });
-      if ((exist.data.items || []).length) {
+      const exist = await repo.findByProp('idem', idempotencyKey);
+      if (exist.length) {
         return res.status(200).json({ ok: true, already: true });
       }
     }
 
     const eventBody = {
+      id: eventId,
       summary: title,
       location: venue || undefined,
       description,
@@ -223,33 +130,68 @@ export default async function handler(req, res) {
       reminders: { useDefault: true },
       extendedProperties: {
         private: {
-          pkg,
-          mainBar,
-          secondEnabled: String(!!secondEnabled),
-          secondBar,
-          secondSize,
-          fountainEnabled: String(!!fountainEnabled),
-          fountainType,
-          fountainSize,
+          kind: 'booking',
+          ...orderProps(order),
           affiliateName,
           affiliateEmail,
-          pin,
+          affiliateId: aff.id,
+          customerName: fullName,
+          customerEmail: email,
+          lang: pickLang(body.lang),
+          bookingStatus: status,
+          statusAt: new Date().toISOString(),
+          total: String(total),
+          promoCode: priced.quote.promo?.code || '',
+          discount: String(priced.quote.promo?.discount || 0),
+          deposit: String(deposit),
+          balance: String(balance),
+          paidInFull: String(balance <= 0),
+          crew: verdict.crew.map(p => p.id).join(','),
+          ...travelProps(order),
           idem: idempotencyKey || '',
         },
       },
     };
 
-    const resp = await calendar.events.insert({
-      calendarId: CAL_ID,
-      requestBody: eventBody,
-      sendUpdates: attendees.length ? 'all' : 'none',
-    });
+    // El código se aparta antes de escribir para que maxUses no se pase con reservas en paralelo
+    const promo = priced.quote.promo;
+    if (promo) {
+      const reserved = await reservePromo(promo.code, { key: eventId, expiresAt: Date.now() + PROMO_HOLD_MS });
+      if (!reserved.ok) return sendResult(res, reserved);
+    }
+
+    // Verificar y escribir sin que otra reserva del proceso se cuele en medio; otra
+    // instancia sí puede, así que se verifica de nuevo ya escrito (y se borra si no cabe)
+    const sendUpdates = attendees.length ? 'all' : 'none';
+    let written = {};
+    try {
+      written = await repo.transaction(async () => {
+        const again = await checkSlot(repo, { startISO, pkg, order, crewIds: verdict.crew.map(p => p.id) });
+        if (!again.ok) return { verdict: again };
+        const ev = await repo.insert(eventBody, { sendUpdates });
+        const clash = await recheckWritten(repo, ev, { startISO, pkg, order }, () => repo.remove(ev.id, { sendUpdates }));
+        return clash ? { verdict: clash } : { ev };
+      });
+    } finally {
+      // Sin reserva escrita (rechazo o error) el uso apartado se suelta
+      if (promo && !written.ev) await releasePromo(eventId).catch(() => {});
+    }
+    if (!written.ev) return sendResult(res, written.verdict);
+
+    await sendBookingEmail('confirmation', written.ev);
+
+    if (promo) {
+      await recordRedemption(promo.code, { eventId, source: 'affiliate', key: eventId })
+        .catch(err => console.error('[create-event] promo redemption failed', err?.message || err));
+    }
+
+    // Ledger de comisiones del afiliado; la reserva ya existe aunque falle
+    await recordCommission(aff, { eventId, source: 'affiliate', pkg, startISO, fullName, total })
+      .catch(err => console.error('[create-event] commission ledger failed', err?.message || err));
 
-    return res.status(200).json({ ok: true, eventId: resp.data?.id || null });
+    return res.status(200).json({ ok: true, eventId: written.ev.id || null, manageUrl, icsUrl: icsLink(eventId) });
   } catch (e) {
-    const status = e.status || e?.response?.status || 500;
-    const detail = e?.response?.data || e?.message || String(e);
-    console.error('[create-event] error', detail);
-    return res.status(status).json({ ok: false, error: 'create_event_failed', detail });
+    console.error('[create-event] error', e?.response?.data || e?.message || e);
+    return sendFailure(res, 'create_event_failed', e);
   }
 }
@@ -0,0 +1,56 @@
+// /api/cron/reminders.js
+export const config = { runtime: 'nodejs' };
+
+import { getBookingRepo } from '../_repo.js';
+import { requireCron } from '../_admin.js';
+import { isHold } from '../_rules.js';
+import { privateProps } from '../_booking.js';
+import { sendBookingEmail } from '../_emails.js';
+import { sendFailure } from '../_errors.js';
+
+// Vercel Cron (al menos una vez al día): recordatorio N días antes de cada reserva viva.
+// ⚙️ REMINDER_DAYS="7,1" (default). Cada recordatorio sale una vez: queda en
+// extendedProperties.private.remindersSent ("7,1").
+const REMINDER_DAYS = String(process.env.REMINDER_DAYS || '7,1')
+  .split(',').map(Number).filter(n => Number.isFinite(n) && n > 0);
+
+const LIVE_STATUSES = new Set(['confirmed', 'paid_in_full', 'partially_refunded']);
+
+// Día de recordatorio que toca para un evento: el de la ventana de 24h que lo contiene
+function dueReminder(start, now) {
+  const hoursLeft = (start.getTime() - now.getTime()) / 3600e3;
+  return REMINDER_DAYS.find(d => hoursLeft > (d - 1) * 24 && hoursLeft <= d * 24) ?? null;
+}
+
+export default async function handler(req, res) {
+  if (!requireCron(req, res)) return;
+
+  try {
+    const repo = await getBookingRepo();
+    const now = new Date();
+    const horizon = new Date(now.getTime() + Math.max(0, ...REMINDER_DAYS) * 24 * 3600e3);
+
+    const items = await repo.listRange({ timeMin: now.toISOString(), timeMax: horizon.toISOString() });
+
+    const sent = [];
+    for (const ev of items) {
+      const props = privateProps(ev);
+      if (ev.status === 'cancelled' || isHold(ev) || !LIVE_STATUSES.has(props.bookingStatus || 'confirmed')) continue;
+      const days = dueReminder(new Date(ev.start?.dateTime || ev.start?.date), now);
+      const already = String(props.remindersSent || '').split(',').filter(Boolean);
+      if (days === null || already.includes(String(days))) continue;
+
+      const result = await sendBookingEmail('reminder', ev, { days });
+      if (!result.ok) continue;
+      await repo.patch(ev.id, {
+        extendedProperties: { private: { ...props, remindersSent: [...already, days].join(',') } },
+      });
+      sent.push({ eventId: ev.id, days });
+    }
+
+    return res.status(200).json({ ok: true, checked: items.length, sent });
+  } catch (e) {
+    console.error('[cron/reminders] error', e?.message || e);
+    return sendFailure(res, 'reminders_failed', e);
+  }
+}
@@ -0,0 +1,22 @@
+// /api/cron/waitlist.js
+export const config = { runtime: 'nodejs' };
+
+import { getBookingRepo } from '../_repo.js';
+import { requireCron } from '../_admin.js';
+import { processWaitlist } from '../_waitlist.js';
+import { sendFailure } from '../_errors.js';
+
+// Vercel Cron (p.ej. cada 30 min): vence ofertas sin reclamar y ofrece los días con
+// capacidad libre (incluye holds que vencieron sin checkout.session.expired).
+export default async function handler(req, res) {
+  if (!requireCron(req, res)) return;
+
+  try {
+    const repo = await getBookingRepo();
+    const result = await processWaitlist(repo);
+    return res.status(200).json({ ok: true, ...result });
+  } catch (e) {
+    console.error('[cron/waitlist] error', e?.message || e);
+    return sendFailure(res, 'waitlist_cron_failed', e);
+  }
+}
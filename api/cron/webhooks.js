@@ -0,0 +1,31 @@
+// /api/cron/webhooks.js
+export const config = { runtime: 'nodejs' };
+
+import Stripe from 'stripe';
+import { requireCron } from '../_admin.js';
+import { dueRetries } from '../_journal.js';
+import { processStripeEvent } from '../stripe/webhook.js';
+import { sendError, sendFailure } from '../_errors.js';
+
+// Vercel Cron (p.ej. cada 5 min): reintenta los eventos de Stripe que fallaron por un
+// error transitorio (ver _journal.js), uno a la vez y en orden de llegada.
+export default async function handler(req, res) {
+  if (!requireCron(req, res)) return;
+
+  const stripeSecret = process.env.STRIPE_SECRET_KEY;
+  if (!stripeSecret) return sendError(res, 'missing_STRIPE_SECRET_KEY');
+  const stripe = new Stripe(stripeSecret, { apiVersion: '2022-11-15' });
+
+  try {
+    const due = (await dueRetries()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    const retried = [];
+    for (const entry of due) {
+      const result = await processStripeEvent(stripe, entry.payload, { by: 'cron' });
+      retried.push({ id: entry.id, type: entry.type, ok: result.ok !== false, retryAt: result.retryAt || null });
+    }
+    return res.status(200).json({ ok: true, due: due.length, retried });
+  } catch (e) {
+    console.error('[cron/webhooks] error', e?.message || e);
+    return sendFailure(res, 'webhooks_cron_failed', e);
+  }
+}
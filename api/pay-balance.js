@@ -0,0 +1,85 @@
+// /api/pay-balance.js
+export const config = { runtime: 'nodejs' };
+
+import Stripe from 'stripe';
+import { applyCors, handlePreflight } from './_cors.js';
+import { getBookingRepo } from './_repo.js';
+import { privateProps } from './_booking.js';
+import { bookingFromToken } from './_manage.js';
+import { parseInput } from './_schema.js';
+import { sendError, sendResult, sendFailure } from './_errors.js';
+
+// ⚙️ Entorno:
+// - STRIPE_SECRET_KEY (requerido)
+// - STRIPE_BALANCE_SUCCESS_URL (opcional; default STRIPE_SUCCESS_URL o https://mannasnackbars.com/thankyou)
+// - STRIPE_CANCEL_URL          (opcional; default https://mannasnackbars.com/)
+// - (El webhook marca el evento como pagado por completo al completarse)
+
+const BODY = {
+  token: { type: 'string', required: true, max: 2000 },
+};
+
+// POST { token } → { ok, url } de un Checkout por el balance pendiente de la reserva
+// (token de autogestión del link en la descripción y los emails)
+export default async function handler(req, res) {
+  if (handlePreflight(req, res)) return;
+  applyCors(req, res);
+
+  try {
+    if (req.method !== 'POST') return sendError(res, 'method_not_allowed');
+
+    const stripeSecret = process.env.STRIPE_SECRET_KEY;
+    if (!stripeSecret) return sendError(res, 'missing_STRIPE_SECRET_KEY');
+    const stripe = new Stripe(stripeSecret, { apiVersion: '2022-11-15' });
+
+    const successUrl = process.env.STRIPE_BALANCE_SUCCESS_URL
+      || process.env.STRIPE_SUCCESS_URL
+      || 'https://mannasnackbars.com/thankyou';
+    const cancelUrl = process.env.STRIPE_CANCEL_URL || 'https://mannasnackbars.com/';
+
+    const body = parseInput(res, BODY, req.body);
+    if (!body) return;
+    const repo = await getBookingRepo();
+    const found = await bookingFromToken(repo, body.token);
+    if (!found.ev) return sendResult(res, found);
+    const { ev } = found;
+    if (ev.status === 'cancelled') return sendError(res, 'booking_not_found');
+    const eventId = ev.id;
+
+    const props = privateProps(ev);
+    const balance = Math.round(Number(props.balance));
+    if (props.paidInFull === 'true' || !(balance > 0)) {
+      return sendError(res, 'nothing_due', { detail: 'No outstanding balance on this booking.' });
+    }
+
+    // El cliente de la reserva, no el primer invitado del evento
+    const customerEmail = props.customerEmail || undefined;
+
+    const session = await stripe.checkout.sessions.create({
+      mode: 'payment',
+      payment_method_types: ['card'],
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      customer_email: customerEmail,
+      line_items: [{
+        price_data: {
+          currency: 'usd',
+          unit_amount: balance * 100,
+          product_data: { name: `${ev.summary || 'Manna Snack Bars'} (Balance)` },
+        },
+        quantity: 1
+      }],
+      // Metadata que consumirá /api/stripe/webhook
+      metadata: {
+        payMode: 'balance',
+        eventId,
+        balance: String(balance),
+      },
+    });
+
+    return res.status(200).json({ ok: true, url: session.url, balance });
+  } catch (e) {
+    console.error('[pay-balance] error', e?.message || e);
+    return sendFailure(res, 'balance_checkout_failed', e);
+  }
+}
@@ -0,0 +1,28 @@
+// /api/quote.js
+export const config = { runtime: 'nodejs' };
+
+import { applyCors, handlePreflight } from './_cors.js';
+import { ORDER_FIELDS, quoteInput, buildQuote } from './_pricing.js';
+import { parseInput } from './_schema.js';
+import { sendError, sendResult, sendFailure } from './_errors.js';
+
+// GET ?pkg=&mainBar=&... o POST con el mismo body que create-checkout.
+// Devuelve el desglose, el depósito requerido y el balance.
+export default async function handler(req, res) {
+  if (handlePreflight(req, res)) return;
+  applyCors(req, res);
+
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') return sendError(res, 'method_not_allowed');
+
+    const input = parseInput(res, ORDER_FIELDS, req.method === 'GET' ? req.query : req.body);
+    if (!input) return;
+    const result = await buildQuote(quoteInput(input));
+    if (!result.ok) return sendResult(res, result);
+
+    return res.status(200).json({ ok: true, quote: result.quote });
+  } catch (e) {
+    console.error('[quote] error', e?.message || e);
+    return sendFailure(res, 'quote_failed', e);
+  }
+}
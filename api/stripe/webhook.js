@@ -2,42 +2,29 @@
 export const config = { runtime: 'nodejs' };
 
 import Stripe from 'stripe';
-import { getOAuthCalendar } from './_google.js';
-
-// ---------- Reglas de negocio ----------
-const TZ = process.env.TIMEZONE || 'America/Los_Angeles';
-const CAL_ID = process.env.CALENDAR_ID || process.env.GOOGLE_CALENDAR_ID || 'primary';
-const HOURS_RANGE = { start: 9, end: 22 }; // inicio de servicio permitido: 09:00..21:59
-const PREP_HOURS = 1;
-const CLEAN_HOURS = 1;
-const MAX_PER_SLOT = 2; // máx eventos coincidentes en la ventana operativa
-const MAX_PER_DAY  = 3; // máx eventos por día calendario
+import { getBookingRepo } from '../_repo.js';
+import { TZ, checkSlot, recheckWritten } from '../_rules.js';
+import { findHold, releaseHold } from '../_holds.js';
+import { sendError } from '../_errors.js';
+import { recordRejectedPayment } from '../_review.js';
+import { quoteInput } from '../_pricing.js';
+import {
+  findBooking, findBookingByPayment, privateProps, setBookingStatus, withStatusLine, replaceLine, newEventId,
+  bookingTitle, orderProps, orderLines, timingLines, promoLine,
+} from '../_booking.js';
+import { manageLink, paidAmount } from '../_manage.js';
+import { eventCrew, staffByIds, crewAttendees, crewLine } from '../_staff.js';
+import { travelProps } from '../_zones.js';
+import { getAffiliate } from '../_affiliates.js';
+import { recordCommission, voidCommission } from '../_commissions.js';
+import { recordRedemption, releasePromo } from '../_promos.js';
+import { markClaimed, slotFreed } from '../_waitlist.js';
+import { sendBookingEmail, pickLang } from '../_emails.js';
+import {
+  journalEvent, inProgress, startAttempt, finishAttempt, failAttempt,
+} from '../_journal.js';
 
 // ---------- Utilidades ----------
-function hoursFromPkg(pkg) {
-  if (pkg === '50-150-5h') return 2;
-  if (pkg === '150-250-5h') return 2.5;
-  if (pkg === '250-350-6h') return 3;
-  return 2;
-}
-function barLabel(v) {
-  const map = {
-    pancake: 'Mini Pancake',
-    maruchan: 'Maruchan',
-    esquites: 'Esquites (Corn Cups)',
-    snack: 'Manna Snack — Classic',
-    tostiloco: 'Tostiloco (Premium)',
-  };
-  return map[v] || v || 'Service';
-}
-function pkgLabel(v) {
-  const map = {
-    '50-150-5h': '50–150 (5h window)',
-    '150-250-5h': '150–250 (5h window)',
-    '250-350-6h': '250–350 (6h window)',
-  };
-  return map[v] || v || '';
-}
 function s(v, fb='') { return (typeof v === 'string' ? v : fb).trim(); }
 
 async function readRawBody(req) {
@@ -46,50 +33,394 @@ async function readRawBody(req) {
   return Buffer.concat(chunks);
 }
 
-// Hora local (0–23) en TZ para un ISO
-function localHour(iso, tz = TZ) {
-  const dt = new Date(iso);
-  const parts = new Intl.DateTimeFormat('en-US', { timeZone: tz, hour: '2-digit', hour12: false })
-    .formatToParts(dt);
-  return Number(parts.find(p => p.type === 'hour')?.value || '0');
+const idOf = v => (typeof v === 'string' ? v : v?.id || '');
+
+// ---------- Checkout → evento ----------
+
+/**
+ * Crea (o actualiza) el evento de la sesión con el estado dado:
+ * - confirmed: pagado; invita a cliente y afiliado
+ * - pending_payment: pago asíncrono en curso; aparta el hueco sin invitar a nadie
+ * Verificación y escritura van en repo.transaction (serializa dentro del proceso); una
+ * reserva sin hold se verifica otra vez ya escrita por si otra instancia ocupó el hueco.
+ */
+function bookFromSession(ctx, session, status) {
+  return ctx.repo.transaction(() => writeBooking(ctx, session, status));
 }
 
-// Ventana operativa completa (prep + servicio + limpieza) en ISO
-function operationalWindow(startISO, liveHours) {
-  const start = new Date(startISO);
-  const opStart = new Date(start.getTime() - PREP_HOURS * 3600e3);
-  const opEnd   = new Date(start.getTime() + (liveHours + CLEAN_HOURS) * 3600e3);
-  return { opStartISO: opStart.toISOString(), opEndISO: opEnd.toISOString() };
+async function writeBooking({ stripe, repo }, session, status) {
+  const paid = status === 'confirmed';
+  const md = session.metadata || {};
+  const pkg            = s(md.pkg);
+  const mainBar        = s(md.mainBar);
+  const fullName       = s(md.fullName || session.customer_details?.name || 'Client');
+  const phone          = s(md.phone || session.customer_details?.phone);
+  const venue          = s(md.venue);
+  const notes          = s(md.notes);
+  const affiliateId    = s(md.affiliateId);
+  const promoCode      = s(md.promoCode);
+  const startISO       = s(md.startISO);
+  const affiliateEmail = s(md.affiliateEmail);
+  const affiliateName  = s(md.affiliateName);
+  const customerEmail  = s(session.customer_details?.email || md.email);
+  const sessionId      = s(session.id);
+  const holdId         = s(md.holdId);
+  const order          = quoteInput(md);
+
+  if (!startISO || !pkg || !mainBar || !fullName) {
+    console.error('Missing required fields in metadata:', md);
+    if (!paid) return { ok: false, error: 'missing_metadata' };
+    const review = await recordRejectedPayment(stripe, session, {
+      reason: 'missing_metadata', detail: 'startISO, pkg, mainBar and fullName are required.',
+    });
+    return { ok: false, error: 'missing_metadata', review: review.id };
+  }
+
+  // Idempotencia por session.id (propiedad privada; el hold también la lleva)
+  const existing = await findBooking(repo, 'sessionId', sessionId);
+  if (existing && privateProps(existing).bookingStatus !== 'pending_payment') {
+    return { ok: true, already: true };
+  }
+  if (existing && !paid) return { ok: true, already: true };
+
+  // Rechazo por reglas; si ya se cobró va a la cola de revisión (y reembolso automático
+  // si está habilitado)
+  async function reject(verdict) {
+    if (!paid) return { ok: false, error: verdict.reason, detail: verdict.detail };
+    const review = await recordRejectedPayment(stripe, session, { reason: verdict.reason, detail: verdict.detail });
+    return {
+      ok: false, error: verdict.reason, detail: verdict.detail,
+      review: review.id, refunded: review.status === 'refunded',
+    };
+  }
+
+  // Horario y capacidad (mismo motor que availability y create-event), sin contar el
+  // hold propio. Una reserva pendiente que se confirma ya tiene su hueco.
+  const hold = existing ? null : await findHold(repo, holdId);
+  // Reglas de fecha (anticipación, horizonte) contra el momento del checkout, no del pago
+  const requestedAt = session.created ? new Date(session.created * 1000) : undefined;
+  let serviceEnd, crew;
+  if (existing) {
+    serviceEnd = new Date(existing.end?.dateTime || existing.end?.date);
+    crew = staffByIds(eventCrew(existing));
+  } else {
+    const verdict = await checkSlot(repo, {
+      startISO, pkg, order, requestedAt, ignoreEventId: hold?.id, crewIds: hold ? eventCrew(hold) : undefined,
+    });
+    if (!verdict.ok) {
+      if (hold) await releaseHold(repo, holdId);
+      return reject(verdict);
+    }
+    serviceEnd = verdict.window.serviceEnd;
+    crew = verdict.crew;
+  }
+
+  // El hold (o la reserva pendiente) se convierte en el evento real; si no hay, se inserta
+  const target = existing || hold;
+  const eventId = target?.id || newEventId();
+
+  // ----- Descripción bonita con Totales -----
+  const depositPaid = Number(md.deposit || Math.round((session.amount_total || 0) / 100));
+  const totalAll    = Number(md.total   || 0);
+  const balanceDue  = Number(md.balance || Math.max(0, totalAll - depositPaid));
+
+  const desc = [
+    `👤 Client: ${fullName}`,
+    customerEmail ? `✉️ Email: ${customerEmail}` : '',
+    phone ? `📞 Phone: ${phone}` : '',
+    venue ? `📍 Venue: ${venue}` : '',
+    '',
+    ...orderLines(order),
+    '',
+    '💰 Totals:',
+    `   • Total: $${totalAll ? totalAll.toFixed(0) : '—'}`,
+    promoLine(promoCode, md.discount),
+    `   • Deposit: $${depositPaid.toFixed(0)} (${paid ? 'paid' : 'pending'})`,
+    `   • Balance: $${balanceDue ? balanceDue.toFixed(0) : '—'}`,
+    '',
+    ...timingLines(pkg),
+    crewLine(crew),
+    '',
+    affiliateName ? `🤝 Affiliate: ${affiliateName}${affiliateEmail ? ` <${affiliateEmail}>` : ''}` : '',
+    notes ? `📝 Notes: ${notes}` : '',
+    '',
+    paid ? `🔗 Manage booking: ${manageLink(eventId)}` : '',
+  ].filter(Boolean).join('\n');
+
+  // Invitados (solo cuando el pago está confirmado)
+  const attendees = [];
+  if (paid && customerEmail) attendees.push({ email: customerEmail });
+  if (paid && affiliateEmail) attendees.push({ email: affiliateEmail });
+  if (paid) attendees.push(...crewAttendees(crew));
+
+  const title = bookingTitle(mainBar, pkg, fullName);
+
+  const eventBody = {
+    summary: title,
+    location: venue || undefined,
+    description: withStatusLine(desc, status),
+    start: { dateTime: startISO, timeZone: TZ },
+    end:   { dateTime: serviceEnd.toISOString(), timeZone: TZ },
+    attendees: attendees.length ? attendees : undefined,
+    guestsCanSeeOtherGuests: true,
+    reminders: { useDefault: true },
+    extendedProperties: {
+      private: {
+        kind: 'booking',
+        // Pedido completo (eventEquipment lo lee para la capacidad por barra/fuente)
+        ...orderProps(order),
+        affiliateName,
+        affiliateEmail,
+        affiliateId,
+        customerName: fullName,
+        customerEmail,
+        lang: pickLang(md.lang),
+        crew: crew.map(p => p.id).join(','),
+        // Zona del venue (el traslado cuenta en la ventana operativa)
+        ...travelProps(order),
+        bookingStatus: status,
+        statusAt: new Date().toISOString(),
+        sessionId,
+        paymentIntent: idOf(session.payment_intent),
+        total: String(totalAll),
+        promoCode,
+        discount: String(Number(md.discount || 0)),
+        deposit: String(depositPaid),
+        balance: String(balanceDue),
+        paidInFull: String(!!paid && balanceDue <= 0),
+        holdId,
+        holdExpiresAt: '',
+      }
+    }
+  };
+
+  const sendUpdates = attendees.length ? 'all' : 'none';
+  const saved = target
+    ? await repo.patch(target.id, eventBody, { sendUpdates })
+    : await repo.insert({ id: eventId, ...eventBody }, { sendUpdates });
+  if (!target) {
+    const clash = await recheckWritten(repo, saved, { startISO, pkg, order, requestedAt },
+      () => repo.remove(saved.id, { sendUpdates }));
+    if (clash) return reject(clash);
+  }
+
+  // Confirmación (con .ics) y recibo del depósito; una vez por sesión (idempotencia arriba)
+  if (paid) {
+    await sendBookingEmail('confirmation', saved);
+    await sendBookingEmail('receipt', saved, { amount: depositPaid, label: 'deposit' });
+  }
+
+  // El código cuenta como usado solo con el pago confirmado (convierte el apartado en create-checkout)
+  if (paid && promoCode) {
+    await recordRedemption(promoCode, { eventId, source: 'checkout', key: holdId })
+      .catch(err => console.error('[webhook] promo redemption failed', err?.message || err));
+  }
+
+  // Oferta de la lista de espera usada
+  if (paid && md.waitlistId) {
+    await markClaimed(s(md.waitlistId), eventId)
+      .catch(err => console.error('[webhook] waitlist claim failed', err?.message || err));
+  }
+
+  // Comisión del afiliado (validado en create-checkout) al confirmarse el pago
+  const aff = paid && affiliateId ? await getAffiliate(affiliateId) : null;
+  if (aff) {
+    await recordCommission(aff, { eventId, source: 'checkout', pkg, startISO, fullName, total: totalAll })
+      .catch(err => console.error('[webhook] commission ledger failed', err?.message || err));
+  }
+
+  return { ok: true, created: saved?.id || null, status };
 }
 
-// Rango de día local [00:00, 24:00) en TZ para la fecha de startISO
-function localDayRangeFromStart(startISO, tz = TZ) {
-  const d = new Date(startISO);
-  const dayStartLocal = new Date(d.getFullYear(), d.getMonth(), d.getDate(), 0, 0, 0, 0);
-  const dayEndLocal   = new Date(dayStartLocal.getTime() + 24 * 3600e3);
-  return { dayStartISO: dayStartLocal.toISOString(), dayEndISO: dayEndLocal.toISOString() };
+// ---------- Balance → pagado por completo ----------
+
+async function markBalancePaid({ stripe, repo }, session) {
+  const eventId = s(session.metadata?.eventId);
+  const ev = eventId ? await repo.get(eventId) : null;
+  if (!ev) return { ok: false, error: 'booking_not_found' };
+
+  const props = privateProps(ev);
+  if (props.balanceSessionId === s(session.id)) return { ok: true, already: true };
+  // Balance cobrado de una reserva ya cancelada: no se reactiva; el staff decide el reembolso
+  if (ev.status === 'cancelled') {
+    const review = await recordRejectedPayment(stripe, session, {
+      reason: 'booking_cancelled', detail: `Balance paid for cancelled booking ${ev.id}.`,
+    });
+    return { ok: false, error: 'booking_cancelled', review: review.id };
+  }
+
+  const paidNow = ((session.amount_total || 0) / 100).toFixed(0);
+  const description = replaceLine(ev.description, '   • Balance:', `   • Balance: $0 ($${paidNow} paid)`);
+  const updated = await setBookingStatus(repo, ev, 'paid_in_full', {
+    description,
+    props: {
+      balance: '0',
+      paidInFull: 'true',
+      balancePaid: paidNow,
+      balanceSessionId: s(session.id),
+      balancePaymentIntent: idOf(session.payment_intent),
+    },
+    sendUpdates: 'all',
+  });
+  await sendBookingEmail('receipt', updated, { amount: Number(paidNow), label: 'balance' });
+  return { ok: true, updated: ev.id, paidInFull: true };
 }
 
-// Lanza error si está fuera de horas hábiles
-function assertWithinHours(startISO, tz = TZ) {
-  const hh = localHour(startISO, tz);
-  if (hh < HOURS_RANGE.start || hh >= HOURS_RANGE.end) {
-    const msg = `outside_business_hours: ${hh}:00 not in ${HOURS_RANGE.start}:00–${HOURS_RANGE.end}:00 ${tz}`;
-    const e = new Error(msg);
-    e.status = 409;
-    throw e;
+const isBalance = session => session.metadata?.payMode === 'balance';
+
+// ---------- Un manejador por tipo de evento ----------
+
+async function onCheckoutCompleted(ctx, session) {
+  if (isBalance(session)) {
+    return session.payment_status === 'paid'
+      ? markBalancePaid(ctx, session)
+      : { ok: true, skipped: 'balance_pending' };
+  }
+  if (session.payment_status === 'paid') return bookFromSession(ctx, session, 'confirmed');
+  // Métodos asíncronos (ACH, etc.): llegará async_payment_succeeded/failed
+  if (session.payment_status === 'unpaid') return bookFromSession(ctx, session, 'pending_payment');
+  return { ok: true, skipped: 'not_paid' };
+}
+
+async function onAsyncPaymentSucceeded(ctx, session) {
+  if (isBalance(session)) return markBalancePaid(ctx, session);
+  return bookFromSession(ctx, session, 'confirmed');
+}
+
+// Pago asíncrono rechazado: se cancela la reserva pendiente (o el hold si no llegó a crearse)
+async function onAsyncPaymentFailed({ repo }, session) {
+  // Un balance fallido no cambia la reserva: sigue debiendo el mismo monto
+  if (isBalance(session)) return { ok: true, skipped: 'balance_failed' };
+  // El uso de promo apartado en el checkout se suelta en ambos casos
+  await releasePromo(s(session.metadata?.holdId));
+  const ev = await findBooking(repo, 'sessionId', s(session.id));
+  if (ev) {
+    const failed = await setBookingStatus(repo, ev, 'payment_failed', { cancel: true });
+    await sendBookingEmail('cancellation', failed);
+    await slotFreed(repo, ev.start?.dateTime);
+    return { ok: true, cancelled: ev.id };
+  }
+  const released = await releaseHold(repo, s(session.metadata?.holdId));
+  if (released) await slotFreed(repo, s(session.metadata?.startISO));
+  return { ok: true, released };
+}
+
+// Sesión vencida sin pago: se libera el hold que apartaba el hueco
+async function onSessionExpired({ repo }, session) {
+  if (isBalance(session)) return { ok: true, skipped: 'balance_expired' };
+  const released = await releaseHold(repo, s(session.metadata?.holdId));
+  await releasePromo(s(session.metadata?.holdId));
+  // El hueco vuelve a estar libre: se ofrece a la lista de espera
+  if (released) await slotFreed(repo, s(session.metadata?.startISO));
+  return { ok: true, released };
+}
+
+// Reembolso total → cancela el evento; parcial → solo lo marca. Total = lo reembolsado en
+// depósito y balance cubre todo lo cobrado. Una reserva ya cancelada (booking/cancel o el
+// staff, que reembolsan y avisan ellos) no aparece y se salta.
+async function onChargeRefunded({ repo }, charge) {
+  const pi = idOf(charge.payment_intent);
+  const ev = await findBookingByPayment(repo, pi);
+  if (!ev) return { ok: true, skipped: 'no_booking' };
+
+  // amount_refunded es acumulado por cargo: se guarda por PaymentIntent y se suma
+  const props = privateProps(ev);
+  const refundedHere = String(Math.round((charge.amount_refunded || 0) / 100));
+  const perPayment = pi === props.balancePaymentIntent
+    ? { balanceRefunded: refundedHere }
+    : { depositRefunded: refundedHere };
+  const byPayment = { depositRefunded: props.depositRefunded, balanceRefunded: props.balanceRefunded, ...perPayment };
+  const refunded = Number(byPayment.depositRefunded || 0) + Number(byPayment.balanceRefunded || 0);
+  const paid = paidAmount(ev);
+  const full = paid > 0 ? refunded >= paid : !!charge.refunded;
+
+  const updated = await setBookingStatus(repo, ev, full ? 'refunded' : 'partially_refunded', {
+    note: `$${refunded} refunded`,
+    props: { ...perPayment, refundedAmount: String(refunded) },
+    cancel: full,
+    sendUpdates: full ? 'all' : 'none',
+  });
+  if (full) {
+    await voidCommission(ev.id, 'refunded')
+      .catch(err => console.error('[webhook] commission void failed', err?.message || err));
+    await sendBookingEmail('cancellation', updated, { refundAmount: refunded });
+    await slotFreed(repo, ev.start?.dateTime);
+  }
+  return { ok: true, updated: ev.id, refunded: full ? 'full' : 'partial' };
+}
+
+// Disputa abierta: el evento sigue en pie pero queda marcado para el staff
+async function onDisputeCreated({ repo }, dispute) {
+  const ev = await findBookingByPayment(repo, idOf(dispute.payment_intent));
+  if (!ev) return { ok: true, skipped: 'no_booking' };
+
+  await setBookingStatus(repo, ev, 'disputed', {
+    note: `${dispute.reason || 'dispute'} ($${((dispute.amount || 0) / 100).toFixed(0)})`,
+    props: { disputeId: s(dispute.id) },
+  });
+  return { ok: true, updated: ev.id };
+}
+
+// Cobrado sin evento por un error sin más reintentos: que el staff lo vea (sin reembolso automático)
+async function failedBooking({ stripe }, session, err) {
+  const detail = err?.response?.data || err?.message || String(err);
+  console.error('[stripe/webhook] create-event error:', detail);
+  if (session.payment_status !== 'paid') return { ok: false, error: 'create_event_failed', detail };
+  const review = await recordRejectedPayment(stripe, session, { reason: 'create_event_failed', detail })
+    .catch(e => console.error('[stripe/webhook] review record failed:', e?.message || e));
+  return { ok: false, error: 'create_event_failed', detail, review: review?.id || null };
+}
+
+const HANDLERS = {
+  'checkout.session.completed': onCheckoutCompleted,
+  'checkout.session.async_payment_succeeded': onAsyncPaymentSucceeded,
+  'checkout.session.async_payment_failed': onAsyncPaymentFailed,
+  'checkout.session.expired': onSessionExpired,
+  'charge.refunded': onChargeRefunded,
+  'charge.dispute.created': onDisputeCreated,
+};
+
+const isBookingEvent = event => (event.type === 'checkout.session.completed'
+  || event.type === 'checkout.session.async_payment_succeeded') && !isBalance(event.data.object);
+
+/**
+ * Procesa un evento ya verificado pasando por la bitácora (_journal.js). Entran por aquí
+ * Stripe, el cron de reintentos y el replay del staff. Un error transitorio se reprograma;
+ * sin más reintentos, el cobro sin reserva va a la cola de revisión. replay:true lo corre
+ * aunque ya esté procesado: la idempotencia por session.id evita duplicar la reserva.
+ */
+export async function processStripeEvent(stripe, event, { replay = false, by = 'stripe' } = {}) {
+  const onEvent = HANDLERS[event.type];
+  const entry = await journalEvent(event, { handled: !!onEvent });
+  if (!onEvent) return { ok: true, ignored: event.type };
+  if (!replay && entry.status === 'processed') return { ok: true, already: true, outcome: entry.outcome };
+  if (inProgress(entry)) return { ok: true, inProgress: true };
+
+  const attempt = await startAttempt(entry, { by });
+  try {
+    const repo = await getBookingRepo();
+    const result = await onEvent({ stripe, repo }, event.data.object);
+    await finishAttempt(event.id, result);
+    return result;
+  } catch (err) {
+    const detail = err?.response?.data || err?.message || String(err);
+    console.error(`[stripe/webhook] ${event.type} error:`, detail);
+    const failed = await failAttempt(attempt, err);
+    if (failed.status === 'retrying') {
+      return { ok: false, error: 'webhook_failed', detail, retryAt: failed.nextAttemptAt };
+    }
+    if (isBookingEvent(event)) return failedBooking({ stripe }, event.data.object, err);
+    return { ok: false, error: 'webhook_failed', detail };
   }
 }
 
 // ---------- Handler ----------
 export default async function handler(req, res) {
-  if (req.method !== 'POST') { res.status(405).send('Method Not Allowed'); return; }
+  if (req.method !== 'POST') return sendError(res, 'method_not_allowed');
 
   const stripeSecret  = process.env.STRIPE_SECRET_KEY;
   const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
-  if (!stripeSecret || !webhookSecret) {
-    res.status(500).send('Server misconfigured'); return;
-  }
+  if (!stripeSecret || !webhookSecret) return sendError(res, 'server_misconfigured');
 
   const stripe = new Stripe(stripeSecret, { apiVersion: '2022-11-15' });
 
@@ -101,156 +432,20 @@ export default async function handler(req, res) {
     event = stripe.webhooks.constructEvent(buf, sig, webhookSecret);
   } catch (err) {
     console.error('Webhook signature verification failed:', err?.message || err);
-    res.status(400).send(`Webhook Error: ${err.message || 'invalid signature'}`);
-    return;
-  }
-
-  if (event.type !== 'checkout.session.completed') {
-    res.status(200).json({ ok: true, ignored: event.type });
-    return;
+    return sendError(res, 'invalid_signature', { detail: err?.message || undefined });
   }
 
+  // Un fallo transitorio queda reprogramado en la bitácora (cron/webhooks), pero DATA_DIR
+  // puede no sobrevivir a la instancia: se responde 500 para que Stripe también lo reenvíe.
+  // Lo mismo si ni la bitácora se pudo escribir.
   try {
-    const session = event.data.object;
-    if (session.payment_status !== 'paid') {
-      return res.status(200).json({ ok: true, skipped: 'not_paid' });
-    }
-
-    const md = session.metadata || {};
-    const pkg            = s(md.pkg);
-    const mainBar        = s(md.mainBar);
-    const fullName       = s(md.fullName || session.customer_details?.name || 'Client');
-    const venue          = s(md.venue);
-    const startISO       = s(md.startISO);
-    const affiliateEmail = s(md.affiliateEmail);
-    const affiliateName  = s(md.affiliateName);
-    const customerEmail  = s(session.customer_details?.email || md.email);
-
-    if (!startISO || !pkg || !mainBar || !fullName) {
-      console.error('Missing required fields in metadata:', md);
-      return res.status(200).json({ ok: true, skipped: 'missing_metadata' });
-    }
-
-    // Horas hábiles (09:00–22:00)
-    assertWithinHours(startISO, TZ);
-
-    // Capacidades
-    const liveHours = hoursFromPkg(pkg);
-    const { opStartISO, opEndISO } = operationalWindow(startISO, liveHours);
-
-    const { calendar } = await getOAuthCalendar();
-
-    // 1) Máx 3 eventos por día
-    const { dayStartISO, dayEndISO } = localDayRangeFromStart(startISO, TZ);
-    const dayList = await calendar.events.list({
-      calendarId: CAL_ID,
-      timeMin: dayStartISO,
-      timeMax: dayEndISO,
-      singleEvents: true,
-      orderBy: 'startTime',
-      maxResults: 250,
-    });
-    const dayCount = (dayList.data.items || []).filter(e => e.status !== 'cancelled').length;
-    if (dayCount >= MAX_PER_DAY) {
-      return res.status(200).json({ ok: false, error: 'capacity_day_limit', detail: 'Max 3 events per day reached.' });
+    const result = await processStripeEvent(stripe, event);
+    if (result.retryAt) {
+      return sendError(res, 'webhook_failed', { detail: result.detail, retryAt: result.retryAt });
     }
-
-    // 2) Máx 2 solapes en la ventana operativa completa (prep + servicio + limpieza)
-    const overlapList = await calendar.events.list({
-      calendarId: CAL_ID,
-      timeMin: opStartISO,
-      timeMax: opEndISO,
-      singleEvents: true,
-      orderBy: 'startTime',
-      maxResults: 250,
-    });
-    const overlapping = (overlapList.data.items || []).filter(ev => {
-      if (ev.status === 'cancelled') return false;
-      const evStart = ev.start?.dateTime || ev.start?.date;
-      const evEnd   = ev.end?.dateTime   || ev.end?.date;
-      if (!evStart || !evEnd) return false;
-      // overlap si NO (evEnd <= opStart || evStart >= opEnd)
-      return !(new Date(evEnd) <= new Date(opStartISO) || new Date(evStart) >= new Date(opEndISO));
-    }).length;
-    if (overlapping >= MAX_PER_SLOT) {
-      return res.status(200).json({ ok: false, error: 'capacity_overlap_limit', detail: 'Max 2 concurrent events in the operational window.' });
-    }
-
-    // Idempotencia por session.id (propiedad privada)
-    const sessionId = s(session.id);
-    if (sessionId) {
-      const existing = await calendar.events.list({
-        calendarId: CAL_ID,
-        timeMin: dayStartISO,
-        timeMax: dayEndISO,
-        singleEvents: true,
-        orderBy: 'startTime',
-        privateExtendedProperty: `sessionId=${sessionId}`,
-        maxResults: 50,
-      });
-      if ((existing.data.items || []).length > 0) {
-        return res.status(200).json({ ok: true, already: true });
-      }
-    }
-
-    // ----- Descripción bonita con Totales -----
-    const depositPaid = Number(md.deposit || Math.round((session.amount_total || 0) / 100));
-    const totalAll    = Number(md.total   || 0);
-    const balanceDue  = Number(md.balance || Math.max(0, totalAll - depositPaid));
-
-    const desc = [
-      `👤 Client: ${fullName}`,
-      customerEmail ? `✉️ Email: ${customerEmail}` : '',
-      venue ? `📍 Venue: ${venue}` : '',
-      '',
-      `🍫 Main bar: ${barLabel(mainBar)} — ${pkgLabel(pkg)}`,
-      '',
-      '💰 Totals:',
-      `   • Total: $${totalAll ? totalAll.toFixed(0) : '—'}`,
-      `   • Deposit: $${depositPaid.toFixed(0)} (paid)`,
-      `   • Balance: $${balanceDue ? balanceDue.toFixed(0) : '—'}`,
-      '',
-      '⏱️ Timing:',
-      `   • Prep: 1h before start`,
-      `   • Service: ${hoursFromPkg(pkg)}h`,
-      `   • Clean up: +1h after`,
-      '',
-      affiliateName ? `🤝 Affiliate: ${affiliateName}` : ''
-    ].filter(Boolean).join('\n');
-
-    // Fin de servicio (solo servicio, sin limpieza)
-    const endServiceISO = new Date(new Date(startISO).getTime() + hoursFromPkg(pkg) * 3600e3).toISOString();
-
-    // Invitados
-    const attendees = [];
-    if (customerEmail) attendees.push({ email: customerEmail });
-    if (affiliateEmail) attendees.push({ email: affiliateEmail });
-
-    const title = `Manna Snack Bars — ${barLabel(mainBar)} — ${pkgLabel(pkg)} — ${fullName}`;
-
-    const eventBody = {
-      summary: title,
-      location: venue || undefined,
-      description: desc,
-      start: { dateTime: startISO, timeZone: TZ },
-      end:   { dateTime: endServiceISO, timeZone: TZ },
-      attendees: attendees.length ? attendees : undefined,
-      guestsCanSeeOtherGuests: true,
-      reminders: { useDefault: true },
-      extendedProperties: { private: { sessionId: sessionId || '' } }
-    };
-
-    const resp = await calendar.events.insert({
-      calendarId: CAL_ID,
-      sendUpdates: attendees.length ? 'all' : 'none',
-      requestBody: eventBody
-    });
-
-    return res.status(200).json({ ok: true, created: resp.data?.id || null });
+    return res.status(200).json(result);
   } catch (err) {
-    const detail = err?.response?.data || err?.message || String(err);
-    console.error('[stripe/webhook] create-event error:', detail);
-    // Responder 200 para que Stripe no reintente indefinidamente; indicamos fallo lógico
-    return res.status(200).json({ ok: false, error: 'create_event_failed', detail });
+    console.error(`[stripe/webhook] ${event.type} journal error:`, err?.message || err);
+    return sendError(res, 'journal_failed', { detail: String(err?.message || err) });
   }
 }
@@ -0,0 +1,38 @@
+// /api/waitlist/claim.js
+export const config = { runtime: 'nodejs' };
+
+import { applyCors, handlePreflight } from '../_cors.js';
+import { getBookingRepo } from '../_repo.js';
+import { listEventsForDay, slotsForDay } from '../_rules.js';
+import { loadClaim, publicEntry } from '../_waitlist.js';
+import { parseInput } from '../_schema.js';
+import { sendError, sendResult, sendFailure } from '../_errors.js';
+
+const QUERY = {
+  claim: { type: 'string', required: true, max: 2000 },
+};
+
+// GET ?claim=… → la oferta vigente y los inicios libres de ese día para su pedido.
+// La reserva sigue por create-checkout con el mismo claimToken.
+export default async function handler(req, res) {
+  if (handlePreflight(req, res)) return;
+  applyCors(req, res);
+  if (req.method !== 'GET') return sendError(res, 'method_not_allowed');
+
+  try {
+    const query = parseInput(res, QUERY, req.query);
+    if (!query) return;
+    const loaded = await loadClaim(query.claim);
+    if (!loaded.entry) return sendResult(res, loaded);
+    const { entry } = loaded;
+
+    const repo = await getBookingRepo();
+    const events = await listEventsForDay(repo, entry.date);
+    const { slots } = slotsForDay({ ymd: entry.date, pkg: entry.pkg, order: entry.order, events });
+
+    return res.status(200).json({ ok: true, entry: publicEntry(entry), slots });
+  } catch (e) {
+    console.error('[waitlist/claim] error', e?.message || e);
+    return sendFailure(res, 'claim_failed', e);
+  }
+}
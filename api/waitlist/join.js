@@ -0,0 +1,44 @@
+// /api/waitlist/join.js
+export const config = { runtime: 'nodejs' };
+
+import { applyCors, handlePreflight } from '../_cors.js';
+import { ORDER_FIELDS, quoteInput } from '../_pricing.js';
+import { CONTACT_FIELDS } from '../_booking.js';
+import { localYMD } from '../_rules.js';
+import { joinWaitlist, publicEntry } from '../_waitlist.js';
+import { pickLang } from '../_emails.js';
+import { parseInput } from '../_schema.js';
+import { sendError, sendFailure } from '../_errors.js';
+
+const BODY = {
+  ...ORDER_FIELDS,
+  date:     { type: 'ymd', required: true },
+  fullName: CONTACT_FIELDS.fullName,
+  email:    { ...CONTACT_FIELDS.email, required: true },
+  phone:    CONTACT_FIELDS.phone,
+  lang:     CONTACT_FIELDS.lang,
+};
+
+// POST { date, pkg, mainBar, (extras como en create-checkout), fullName, email, phone }
+// → { ok, entry, position }. Cuando se libere capacidad ese día llegará un link para reservar.
+export default async function handler(req, res) {
+  if (handlePreflight(req, res)) return;
+  applyCors(req, res);
+  if (req.method !== 'POST') return sendError(res, 'method_not_allowed');
+
+  try {
+    const body = parseInput(res, BODY, req.body);
+    if (!body) return;
+    const { date, fullName, email } = body;
+    const order = quoteInput(body);
+    if (date < localYMD(new Date())) return sendError(res, 'date_in_past');
+
+    const { entry, position } = await joinWaitlist({
+      date, pkg: order.pkg, order, fullName, email, phone: body.phone || '', lang: pickLang(body.lang),
+    });
+    return res.status(200).json({ ok: true, entry: publicEntry(entry), position });
+  } catch (e) {
+    console.error('[waitlist/join] error', e?.message || e);
+    return sendFailure(res, 'waitlist_failed', e);
+  }
+}